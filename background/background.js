@@ -0,0 +1,446 @@
+/*
+  Local Unifi Drive background service worker
+
+  Purpose:
+  - Periodically probe every enabled launcher link (see shared/health.js) and
+    publish the results to `chrome.storage.local.linkHealth`. Content scripts
+    listen for that key, so a result is pushed to every open console tab and
+    new tabs start with the last known state.
+  - Answer on-demand checks: `chrome.runtime.sendMessage({ type: 'health:check' })`
+    runs a probe immediately and responds with the fresh results.
+  - With a Drive status endpoint configured (`storageStatus`), fetch storage
+    usage on the same schedule and publish it to
+    `chrome.storage.local.driveStorage`; `{ type: 'storage:check' }` does it
+    on demand. Without an endpoint the key is removed.
+  - Open the launcher without a UniFi tab: the `open-drive` command (keyboard
+    shortcut, changeable on chrome://extensions/shortcuts) opens the primary
+    link, and the `drive` omnibox keyword opens the primary link or the link
+    or share whose label matches what was typed (`drive media`).
+  - Open links for the content script (`{ type: 'open', url }`) according to
+    the `openMode` setting: new tab, same tab, reuse a tab already on the
+    link's origin, or a popup window that remembers its last size. The icon's
+    context menu asks for `mode: 'newWindow'` instead, and for the options
+    page with `{ type: 'openOptions' }`.
+  - `mode: 'sidePanel'` (sent when that open mode is chosen) shows the link
+    in the browser's side panel for the sender's tab, or the given
+    `windowId` from the toolbar popup. It's handled before any storage read,
+    because chrome.sidePanel.open only works during the user's click. The
+    'drawer' mode is run by the content script; both fall back to a new tab
+    here (shortcut, omnibox, or no side panel API as in Firefox).
+
+  Notes:
+  - The shortcut and the omnibox use the global (default profile) links;
+    console profiles only change what the icons on matching consoles open.
+    Their links are probed too, under their profile-scoped ids.
+  - Link templates (see shared/settings.js) are expanded against the first
+    configured console's start page, since the worker has no page of its own.
+  - Keep the content script registration in line with the configured
+    consoles whose site access was granted, so consoles pushed by policy
+    are covered without a save on the options page.
+  - After an update (or a reload of the unpacked extension) the content
+    script is injected into console tabs that are already open, so they
+    don't keep the old version's disconnected icons until reloaded.
+  - Chrome runs this file as a service worker; Firefox, which has no MV3
+    service workers, as an event page (the manifest lists both).
+  - Service workers are short-lived, so the period is driven by chrome.alarms
+    (re-created whenever the interval setting changes) instead of setInterval.
+*/
+// Firefox runs the worker as an event page that loads the shared files
+// itself (manifest `background.scripts`) and has no importScripts.
+if (typeof importScripts === 'function') importScripts('../shared/settings.js', '../shared/health.js');
+
+const Settings = LocalUnifiDriveSettings;
+const Health = LocalUnifiDriveHealth;
+const HEALTH_ALARM = 'local-unifi-drive-health';
+const OPEN_COMMAND = 'open-drive';
+const MAX_SUGGESTIONS = 6;
+const POPUP_DEFAULT_BOUNDS = { width: 1100, height: 800 };
+const SIDE_PANEL_PAGE = 'sidepanel/sidepanel.html';
+
+// Synced settings with policy values (chrome.storage.managed) applied.
+function readSettings(cb) {
+  chrome.storage.sync.get(Settings.DEFAULTS, (items) => {
+    if (!chrome.storage.managed) return cb(items);
+    chrome.storage.managed.get(null, (managed) => {
+      // No policy (or no schema support) reads as an error; treat as empty.
+      void chrome.runtime.lastError;
+      cb(Settings.applyManagedSettings(items, managed || {}).settings);
+    });
+  });
+}
+
+// (Re)create the periodic alarm from the stored interval.
+function scheduleHealthCheck() {
+  readSettings((items) => {
+    const seconds = Number(items.healthCheckInterval) || 0;
+    chrome.alarms.clear(HEALTH_ALARM, () => {
+      if (seconds <= 0) {
+        console.debug('[local-unifi-drive] periodic health check disabled');
+        return;
+      }
+      const minutes = Math.max(seconds, Settings.MIN_HEALTH_INTERVAL) / 60;
+      chrome.alarms.create(HEALTH_ALARM, { periodInMinutes: minutes, delayInMinutes: minutes });
+    });
+  });
+}
+
+// Templates need a console page to expand against; the worker has none, so
+// it uses the given console's (or the first configured console's) start
+// page. '' when there is none.
+function resolveUrl(url, items, consoleOrigin) {
+  if (!Settings.hasTemplate(url)) return url;
+  const origin = consoleOrigin || (items.allowedOrigins || [])[0];
+  return origin ? Settings.expandTemplate(url, Settings.templateContext(origin + '/')).url : '';
+}
+
+// Probe all enabled links and store the results keyed by link id.
+function runHealthCheck() {
+  return new Promise((resolve) => {
+    readSettings((items) => {
+      const timeoutMs = (Number(items.healthCheckTimeout) || 0) * 1000;
+      Promise.all(healthTargets(items).map((l) => Health.probe(l.url, { timeoutMs }).then((r) => [l.id, r])))
+        .then((pairs) => {
+          const linkHealth = {};
+          for (const [id, result] of pairs) linkHealth[id] = result;
+          chrome.storage.local.set({ linkHealth }, () => resolve(linkHealth));
+        })
+        .catch((e) => {
+          console.debug('[local-unifi-drive] health check failed', e);
+          resolve({});
+        });
+    });
+  });
+}
+
+// Fetch Drive storage usage from the configured status endpoint.
+function runStorageCheck() {
+  return new Promise((resolve) => {
+    readSettings((items) => {
+      const config = Settings.normalizeStorageStatus(items.storageStatus);
+      if (!config.url) return chrome.storage.local.remove('driveStorage', () => resolve(null));
+      const timeoutMs = (Number(items.healthCheckTimeout) || 0) * 1000;
+      Health.fetchStorage(config, { timeoutMs }).then((driveStorage) => {
+        chrome.storage.local.set({ driveStorage }, () => resolve(driveStorage));
+      });
+    });
+  });
+}
+
+// The global links plus the console profiles' own links, each resolved
+// against a configured console the profile matches.
+function healthTargets(items) {
+  const out = Settings.normalizeLinks(items).filter((l) => l.enabled)
+    .map((l) => ({ id: l.id, url: resolveUrl(l.url, items) }));
+  for (const profile of Settings.consoleProfiles(items)) {
+    if (!profile.links) continue;
+    const origin = Settings.normalizeOrigins(items.allowedOrigins)
+      .find((o) => profile.match.some((m) => Settings.matchesConsole(m, o)));
+    for (const l of profile.links) if (l.enabled) out.push({ id: l.id, url: resolveUrl(l.url, items, origin) });
+  }
+  return out;
+}
+
+function readTargets(cb) {
+  readSettings((items) => cb(targetsFrom(items)));
+}
+
+function targetsFrom(items) {
+  return Settings.launcherTargets(Settings.normalizeLinks(items))
+    .map((t) => Object.assign(t, { url: resolveUrl(t.url, items) }))
+    .filter((t) => t.url);
+}
+
+// Open `url` the way the omnibox asked for; shortcuts always use a new tab.
+function openTarget(url, disposition) {
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+  }
+}
+
+function originOf(url) {
+  try { return new URL(url).origin; } catch (e) { return ''; }
+}
+
+function focusTab(tab, url) {
+  const props = { active: true };
+  // Only navigate when the tab isn't already somewhere under the target.
+  if (url && !String(tab.url || '').startsWith(url)) props.url = url;
+  chrome.tabs.update(tab.id, props);
+  chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// Reusing needs tab URLs, i.e. the optional "tabs" permission (requested by
+// the options page when this mode is chosen). Without it, open a new tab.
+function reuseTab(url, opener) {
+  chrome.permissions.contains({ permissions: ['tabs'] }, (granted) => {
+    const origin = originOf(url);
+    if (!granted || !origin) return openInTab(url, opener);
+    chrome.tabs.query({}, (tabs) => {
+      const sameOrigin = (tabs || []).filter((t) => originOf(t.url) === origin);
+      const best = sameOrigin.find((t) => String(t.url).startsWith(url)) || sameOrigin[0];
+      if (best) focusTab(best, url);
+      else openInTab(url, opener);
+    });
+  });
+}
+
+function openInTab(url, opener) {
+  const props = { url };
+  if (opener && opener.id !== undefined) {
+    props.openerTabId = opener.id;
+    props.index = opener.index + 1;
+    props.windowId = opener.windowId;
+  }
+  chrome.tabs.create(props);
+}
+
+// One launcher popup at a time: a second open reuses it. Its window id lives
+// in session storage because the worker may be restarted in between.
+function openInPopup(url) {
+  chrome.storage.session.get({ popupWindowId: null }, ({ popupWindowId }) => {
+    const create = () => {
+      chrome.storage.local.get({ popupBounds: POPUP_DEFAULT_BOUNDS }, ({ popupBounds }) => {
+        chrome.windows.create(Object.assign({ url, type: 'popup' }, popupBounds), (win) => {
+          if (chrome.runtime.lastError || !win) {
+            // Saved bounds can be off-screen after a monitor change.
+            console.debug('[local-unifi-drive] popup failed, retrying with defaults', chrome.runtime.lastError);
+            return chrome.windows.create(Object.assign({ url, type: 'popup' }, POPUP_DEFAULT_BOUNDS), (w) => {
+              if (w) chrome.storage.session.set({ popupWindowId: w.id });
+            });
+          }
+          chrome.storage.session.set({ popupWindowId: win.id });
+        });
+      });
+    };
+    if (popupWindowId === null) return create();
+    chrome.windows.get(popupWindowId, { populate: true }, (win) => {
+      if (chrome.runtime.lastError || !win || !win.tabs || !win.tabs.length) return create();
+      chrome.tabs.update(win.tabs[0].id, { url });
+      chrome.windows.update(win.id, { focused: true });
+    });
+  });
+}
+
+// Must run synchronously in the message handler to keep the user gesture.
+// The panel page frames the link; per-tab options keep each console tab's
+// own link while the tab lives. Nothing is stored per console: Chrome owns
+// the panel width, and the panel can't be reopened without a click.
+function openInSidePanel(url, opener, windowId) {
+  const tabId = opener && opener.id !== undefined ? opener.id : undefined;
+  if (!chrome.sidePanel || typeof chrome.sidePanel.open !== 'function' || (tabId === undefined && !windowId)) {
+    return openInTab(url, opener);
+  }
+  const path = SIDE_PANEL_PAGE + '?url=' + encodeURIComponent(url);
+  chrome.sidePanel.setOptions(tabId === undefined ? { path, enabled: true } : { tabId, path, enabled: true });
+  chrome.sidePanel.open(tabId === undefined ? { windowId } : { tabId }, () => {
+    if (chrome.runtime.lastError) {
+      console.debug('[local-unifi-drive] side panel failed, opening a tab', chrome.runtime.lastError);
+      openInTab(url, opener);
+    }
+  });
+}
+
+// `opener` is the tab the request came from, if any.
+function openWithMode(url, mode, opener) {
+  switch (Settings.normalizeOpenMode(mode)) {
+    case 'sameTab':
+      if (opener && opener.id !== undefined) chrome.tabs.update(opener.id, { url });
+      else chrome.tabs.update({ url });
+      break;
+    case 'reuseTab': reuseTab(url, opener); break;
+    case 'popup': openInPopup(url); break;
+    default: openInTab(url, opener); break;
+  }
+}
+
+// Nothing configured yet: the options page is the only useful destination.
+function openPrimary(disposition) {
+  readTargets((targets) => {
+    if (!targets.length) return chrome.runtime.openOptionsPage();
+    openTarget(targets[0].url, disposition);
+  });
+}
+
+// Omnibox descriptions are XML; labels and URLs are user text.
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command !== OPEN_COMMAND) return;
+  readSettings((items) => {
+    const targets = targetsFrom(items);
+    if (!targets.length) return chrome.runtime.openOptionsPage();
+    openWithMode(targets[0].url, items.openMode, null);
+  });
+});
+
+chrome.windows.onBoundsChanged.addListener((win) => {
+  chrome.storage.session.get({ popupWindowId: null }, ({ popupWindowId }) => {
+    if (win.id !== popupWindowId) return;
+    chrome.storage.local.set({ popupBounds: { left: win.left, top: win.top, width: win.width, height: win.height } });
+  });
+});
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  chrome.storage.session.get({ popupWindowId: null }, ({ popupWindowId }) => {
+    if (windowId === popupWindowId) chrome.storage.session.remove('popupWindowId');
+  });
+});
+
+chrome.omnibox.setDefaultSuggestion({ description: chrome.i18n.getMessage('omniboxDefault') });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  readTargets((targets) => {
+    suggest(Settings.matchTargets(targets, text).slice(0, MAX_SUGGESTIONS).map((t) => ({
+      content: t.url,
+      description: '<match>' + escapeXml(t.label) + '</match> <dim>-</dim> <url>' + escapeXml(t.url) + '</url>'
+    })));
+  });
+});
+
+// `text` is a suggestion's URL when one was picked, otherwise the typed words.
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  const typed = String(text || '').trim();
+  if (!typed) return openPrimary(disposition);
+  readTargets((targets) => {
+    const picked = targets.find((t) => t.url === typed) || Settings.matchTargets(targets, typed)[0];
+    if (picked) return openTarget(picked.url, disposition);
+    if (!targets.length) return chrome.runtime.openOptionsPage();
+    console.debug('[local-unifi-drive] no link or share matches', typed);
+    openTarget(targets[0].url, disposition);
+  });
+});
+
+// Configured consoles (policy included) whose site access was granted, as
+// match patterns.
+function grantedConsolePatterns(cb) {
+  readSettings((settings) => {
+    const wanted = Settings.normalizeOrigins(settings.allowedOrigins).map(Settings.originToMatchPattern);
+    const granted = [];
+    let pending = wanted.length;
+    if (!pending) return cb(granted);
+    for (const pattern of wanted) {
+      chrome.permissions.contains({ origins: [pattern] }, (ok) => {
+        void chrome.runtime.lastError;
+        if (ok) granted.push(pattern);
+        if (--pending === 0) cb(wanted.filter((p) => granted.indexOf(p) !== -1));
+      });
+    }
+  });
+}
+
+// The options page registers the content script on save. Consoles pushed
+// by policy never go through it, so the registration is also brought in
+// line here: at startup, after an install or update (registrations persist
+// with the file list they were made with) and when the policy changes.
+// With `inject`, open console tabs get the new files right away.
+function refreshContentScripts(inject) {
+  const script = Settings.CONTENT_SCRIPT;
+  const failed = (what) => () => {
+    if (chrome.runtime.lastError) console.debug('[local-unifi-drive] ' + what + ' content script failed', chrome.runtime.lastError);
+  };
+  grantedConsolePatterns((patterns) => {
+    chrome.scripting.getRegisteredContentScripts({ ids: [script.id] }, (existing) => {
+      if (chrome.runtime.lastError) return;
+      const registered = !!(existing && existing.length);
+      if (!patterns.length) {
+        if (registered) chrome.scripting.unregisterContentScripts({ ids: [script.id] }, failed('unregistering'));
+        return;
+      }
+      const entry = { id: script.id, matches: patterns, js: script.js, css: script.css, runAt: script.runAt };
+      if (registered) chrome.scripting.updateContentScripts([entry], failed('updating'));
+      else chrome.scripting.registerContentScripts([Object.assign(entry, { persistAcrossSessions: true })], failed('registering'));
+      if (inject) injectIntoOpenTabs(patterns);
+    });
+  });
+}
+
+// Console tabs opened before the update still run the old content script,
+// cut off from the extension. Inject the new one; it takes over from the
+// old instance (see "Instances" in content/content.js).
+function injectIntoOpenTabs(matches) {
+  if (!matches.length) return;
+  const script = Settings.CONTENT_SCRIPT;
+  chrome.tabs.query({ url: matches }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs) return;
+    for (const tab of tabs) {
+      const target = { tabId: tab.id };
+      chrome.scripting.insertCSS({ target, files: script.css }, () => void chrome.runtime.lastError);
+      chrome.scripting.executeScript({ target, files: script.js }, () => {
+        if (chrome.runtime.lastError) console.debug('[local-unifi-drive] injecting into tab', tab.id, 'failed', chrome.runtime.lastError);
+      });
+    }
+  });
+}
+
+chrome.runtime.onInstalled.addListener((details) => {
+  refreshContentScripts(!!details && details.reason === 'update');
+  scheduleHealthCheck();
+  runHealthCheck();
+  runStorageCheck();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshContentScripts(false);
+  scheduleHealthCheck();
+  runHealthCheck();
+  runStorageCheck();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== HEALTH_ALARM) return;
+  runHealthCheck();
+  runStorageCheck();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' && area !== 'managed') return;
+  // The options page re-registers after saving synced consoles itself.
+  if (area === 'managed' && changes.allowedOrigins) refreshContentScripts(false);
+  if (changes.healthCheckInterval) scheduleHealthCheck();
+  if (changes.links || changes.driveLink || changes.consoleProfiles || changes.healthCheckTimeout) runHealthCheck();
+  if (changes.storageStatus || changes.healthCheckTimeout) runStorageCheck();
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg) return false;
+  if (msg.type === 'health:check') {
+    runHealthCheck().then(sendResponse);
+    // Keep the channel open for the async response.
+    return true;
+  }
+  if (msg.type === 'storage:check') {
+    runStorageCheck().then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'open') {
+    if (!/^https?:\/\//i.test(String(msg.url || ''))) {
+      sendResponse({ ok: false, error: 'not an http(s) URL' });
+      return false;
+    }
+    if (msg.mode === 'newWindow') {
+      chrome.windows.create({ url: msg.url });
+      sendResponse({ ok: true });
+      return false;
+    }
+    if (msg.mode === 'sidePanel') {
+      openInSidePanel(msg.url, sender.tab, msg.windowId);
+      sendResponse({ ok: true });
+      return false;
+    }
+    readSettings((items) => {
+      openWithMode(msg.url, items.openMode, sender.tab);
+      sendResponse({ ok: true });
+    });
+    return true;
+  }
+  if (msg.type === 'openOptions') {
+    chrome.runtime.openOptionsPage();
+    sendResponse({ ok: true });
+    return false;
+  }
+  return false;
+});
@@ -4,613 +4,1810 @@
 
     Purpose:
     - Insert a Drive icon into the UniFi header to the right of the Protect icon.
+    - Render one icon per enabled launcher link (see shared/settings.js); the
+      icons stay together as a group in their configured order.
     - Use robust heuristics to handle nested header DOM structures and to recover
       from previously-orphaned icons that ended up attached to <body>.
 
     Notes / edge cases:
-    - The script prefers the explicit container selector
-      `div.unifi-portal-1vz64y0.evzy7n80` when present.
-    - It attempts to insert the wrapper directly after the Protect anchor's
-      parent (so that `protect.nextElementSibling === drive` becomes true).
-    - If the page re-renders the header, a MutationObserver will re-create
-      the icon. If a leftover icon is found attached to <body>, `repairExisting`
-      will move it into the header on startup.
-    - For testing/debugging we expose a small `window.__localUnifiDrive` hook
-      (only if not already present) so you can call create/remove/repair from
-      the console when running the extension in development.
+    - This script is not declared in the manifest. The options page registers
+      it dynamically for the configured console origins only, so it (and its
+      observers) never run on other sites.
+    - Where the icons go is decided by placement profiles (shared/settings.js):
+      ordered container and anchor selector chains plus an insert position.
+      The built-in profile prefers `div.unifi-portal-1vz64y0.evzy7n80` and
+      the Protect anchor, then Network. Every check of the lifecycle
+      scheduler goes through `resolvePlacement`.
+    - With position 'after' the wrapper is inserted directly after the anchor
+      (so that `protect.nextElementSibling === drive` becomes true).
+    - The user's icon position ("after/before app X", "first", "last") is
+      applied on top of the profile and works with any `applink-*` anchor.
+    - Policy values (chrome.storage.managed) replace synced ones, and
+      synced changes to policy-locked keys are ignored.
+    - Settings are resolved for this console first: a console profile
+      matching `location.origin` (shared/settings.js) replaces the global
+      links, placement profile, icon position and delay before any icon is
+      created.
+    - One lifecycle scheduler (`runCheck`) handles startup, late headers and
+      SPA re-renders: mutations only schedule a check per frame, misplaced
+      icons are moved rather than rebuilt, and once the icons are in place
+      only the header is observed. Owned wrappers are found via the
+      `data-local-unifi-drive` attribute rather than a single id.
+    - When a Drive status endpoint is configured, the primary link's icon
+      carries a usage ring (amber/red past the thresholds) from the worker's
+      `driveStorage` result, and its tooltip shows free space and the time
+      of the last refresh.
+    - The icons follow the console's light/dark theme (detectTheme) and swap
+      to the matching variant when it changes; users can upload their own
+      Drive icon per theme in the options page.
+    - A plain click asks the background worker to open the link according to
+      the `openMode` setting. Two modes are handled here instead: 'drawer'
+      shows the link in a resizable panel on this page (content/drawer.js),
+      remembering its width and open state per console, and 'sidePanel'
+      passes the mode along so the worker can open the browser's side panel
+      while the click still counts as a user gesture. The wrappers carry the real URL as href, so
+      middle-click and Ctrl/Cmd/Shift-click behave like any other link.
+    - Link templates (`{host}`, `{site}`, ...) are expanded against the
+      current page when clicked (`resolveUrl`), never stored expanded.
+    - For testing/debugging, page scripts and the DevTools console can drive
+      the script through a versioned page bridge (see the end of this file):
+      create/remove/repair plus status, getConfig and diagnose. Only messages
+      from this window and origin are answered.
+    - Every placement decision is also recorded by content/diagnostics.js
+      (`diag`); diagnostics mode shows the log in an overlay and exports it
+      with a structure-only snapshot of the header.
+    - Visible text comes from the `_locales` catalogs through `msg`; the
+      English fallbacks only show on the demo page.
+    - Storage and messaging go through shared/platform.js, so the same code
+      runs on chrome.*, on Firefox's browser.* and, on the demo page, on
+      localStorage (settings persist there and change events still fire).
+    - Each run of this script is one instance with its own id, stamped on
+      the nodes it creates. The browser doesn't unload content scripts when
+      the extension is reloaded or updated, so a new instance asks the old
+      one to tear itself down (nodes, observers, listeners, timers) instead
+      of adopting its leftovers; see "Instances" below.
   */
   const ICON_ID = 'local-unifi-drive-icon';
-  const DEFAULT_LINK = 'https://example.com';
-  let _currentDriveLink = DEFAULT_LINK;
+  const Settings = (typeof LocalUnifiDriveSettings !== 'undefined') ? LocalUnifiDriveSettings : null;
+  // Older registrations may not list content/diagnostics.js yet.
+  const Diagnostics = (typeof LocalUnifiDriveDiagnostics !== 'undefined') ? LocalUnifiDriveDiagnostics : null;
+  const I18n = (typeof LocalUnifiDriveI18n !== 'undefined') ? LocalUnifiDriveI18n : null;
+  const Platform = (typeof LocalUnifiDrivePlatform !== 'undefined') ? LocalUnifiDrivePlatform : null;
+  const Drawer = (typeof LocalUnifiDriveDrawer !== 'undefined') ? LocalUnifiDriveDrawer : null;
+  // Marks the nodes of one instance: extension version plus a random part.
+  const INSTANCE_ATTR = 'data-local-unifi-drive-instance';
+  const INSTANCE_ID = (() => {
+    let version = 'page';
+    try { if (runtimeHasId()) version = Platform.runtime.getManifest().version; } catch (e) {}
+    return version + '-' + Math.random().toString(36).slice(2, 10);
+  })();
+  // Wrappers, menus, tooltips, the diagnostics overlay and the drawer, of
+  // any instance.
+  const EXTENSION_NODES = '[data-local-unifi-drive], [data-local-unifi-drive-menu], [data-local-unifi-drive-tooltip], [data-local-unifi-drive-diagnostics], [data-local-unifi-drive-drawer]';
+  // Normalized launcher links (see shared/settings.js). Starts with the
+  // migrated default so the bridge has something to report before storage
+  // answers.
+  let _currentLinks = Settings ? Settings.normalizeLinks({}) : [{ id: 'drive', label: 'Drive', url: '', icon: 'drive', order: 0, enabled: true }];
+  // Last reachability results pushed by the background worker, keyed by link id.
+  let _linkHealth = {};
+  // Last Drive storage result from the background worker (see
+  // shared/health.js fetchStorage), and whether an endpoint is configured.
+  let _driveStorage = null;
+  let _storageEnabled = false;
+  // Message key and English fallback per health state.
+  const HEALTH_LABELS = { online: ['healthOnline', 'online'], offline: ['healthOffline', 'offline'], unknown: ['healthUnknown', 'status unknown'] };
+  // Placement profiles in resolution order, and the pinned profile id (if any).
+  let _placementProfiles = Settings ? Settings.placementProfiles({}) : [];
+  let _placementProfileId = '';
+  // User override of the profile's anchor/position (see shared/settings.js).
+  let _iconPosition = { mode: '', app: '' };
+  // Consoles where the user chose "Hide on this console".
+  let _hiddenOrigins = [];
+  // Console profile matching this page (null: the global settings apply).
+  let _consoleProfile = null;
+  let _openMode = 'newTab';
+  // Keys set by policy (chrome.storage.managed); synced changes to them don't apply.
+  let _lockedKeys = [];
+  // The drawer is reopened once per page load, not on every settings reload.
+  let _drawerRestored = false;
+  let _lastDiscoveredApps = '';
+  // Detected (or forced) header theme and uploaded Drive icons per theme.
+  let _theme = 'dark';
+  let _themeMode = 'auto';
+  // Whether page scripts may re-point the first icon via the bridge.
+  let _allowPageLinkOverride = false;
+  // Diagnostics overlay; the options page sets it, the bridge can flip it per tab.
+  let _diagnosticsMode = false;
+  let _customIcons = { dark: '', light: '' };
+
+  // Motif paths for the built-in glyphs, all drawn with currentColor.
+  const GLYPH_PATHS = {
+    // stacked-database/cylinder motif
+    drive: 'M12 2C7.03 2 3 3.79 3 6v12c0 2.21 4.03 4 9 4s9-1.79 9-4V6c0-2.21-4.03-4-9-4zm0 2c3.87 0 7 1.12 7 2s-3.13 2-7 2-7-1.12-7-2 3.13-2 7-2zm0 14c-3.87 0-7-1.12-7-2V10c1.3 1.07 4.2 1.71 7 1.71s5.7-.64 7-1.71v6c0 .88-3.13 2-7 2z',
+    folder: 'M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z',
+    book: 'M18 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 4h5v8l-2.5-1.5L6 12V4z',
+    link: 'M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z'
+  };
+
+  function glyphPath(name) {
+    return GLYPH_PATHS[name] || GLYPH_PATHS.drive;
+  }
 
   // Generate a transparent-background inline SVG data URL (used as a safe
   // fallback when chrome.runtime resources can't be loaded). Keep the SVG
   // minimal (only the motif path) so site CSS cannot force a dark background.
-  function createInlineSvgDataUrl() {
+  function createInlineSvgDataUrl(glyph) {
     try {
-  // stacked-database/cylinder motif using currentColor so CSS controls the color
-  const svg = "<svg xmlns='http://www.w3.org/2000/svg' width='28' height='28' viewBox='0 0 24 24'><path fill='currentColor' d='M12 2C7.03 2 3 3.79 3 6v12c0 2.21 4.03 4 9 4s9-1.79 9-4V6c0-2.21-4.03-4-9-4zm0 2c3.87 0 7 1.12 7 2s-3.13 2-7 2-7-1.12-7-2 3.13-2 7-2zm0 14c-3.87 0-7-1.12-7-2V10c1.3 1.07 4.2 1.71 7 1.71s5.7-.64 7-1.71v6c0 .88-3.13 2-7 2z'/></svg>";
+      const svg = "<svg xmlns='http://www.w3.org/2000/svg' width='28' height='28' viewBox='0 0 24 24'><path fill='currentColor' d='" + glyphPath(glyph) + "'/></svg>";
       return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
     } catch (e) { return ''; }
   }
 
-  function createIcon(link) {
-    console.debug('[local-unifi-drive] createIcon called, link=', link);
-    // Quick debounce
-    const now = Date.now();
-    if (createIcon._last && now - createIcon._last < 500) return;
-    createIcon._last = now;
-
-    // Remove any existing wrapper to avoid duplicates and to ensure we re-place it correctly
-    try { removeIcon(); } catch (e) {}
-
-    // Build icon: prefer using the extension PNG when running as an installed
-    // extension (chrome.runtime.id is present). If runtime id is missing or
-    // CSP blocks resource loading, fall back to an inline SVG so the icon
-    // always renders and avoids net::ERR_FAILED chrome-extension://invalid/.
-    const runtimeHasId = (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id && typeof chrome.runtime.getURL === 'function');
-    let img = null;
-    let svgEl = null;
-    if (runtimeHasId) {
-      img = document.createElement('img');
-      img.className = 'local-unifi-drive-img';
-      img.title = 'Open Drive Link';
-      img.alt = 'Drive';
-      img.style.cursor = 'pointer';
-      try {
-        img.src = chrome.runtime.getURL('icons/DriveDark.png');
-      } catch (e) {
-        // fallback to inline svg below
-        img = null;
+  // Links that should currently be rendered: enabled ones with a URL. An
+  // explicit `link` (page bridge) overrides the URL of the first entry only.
+  function currentEntries(link) {
+    const entries = _currentLinks.filter((l) => l.enabled).map((l) => Object.assign({}, l));
+    if (link && entries[0]) entries[0].url = link;
+    return entries.filter((l) => l.url);
+  }
+
+  function iconIdFor(entry) {
+    return ICON_ID + '-' + entry.id;
+  }
+
+  // All wrappers this instance owns, in their configured order.
+  function ownedIcons() {
+    const order = (el) => Number(el.getAttribute('data-local-unifi-drive-order')) || 0;
+    return Array.from(document.querySelectorAll('[data-local-unifi-drive][' + INSTANCE_ATTR + '="' + INSTANCE_ID + '"]'))
+      .sort((a, b) => order(a) - order(b));
+  }
+
+  // True when every enabled link has its wrapper attached to the document.
+  function hasAllIcons() {
+    return currentEntries().every((entry) => {
+      const el = _wrappers.get(iconIdFor(entry));
+      return !!(el && document.body.contains(el));
+    });
+  }
+
+  // Keep the remaining wrappers directly after the first one, in order.
+  function attachFollowers(wrappers) {
+    let prev = wrappers[0];
+    for (const w of wrappers.slice(1)) {
+      try { prev.insertAdjacentElement('afterend', w); }
+      catch (e) { (prev.parentNode || document.body).appendChild(w); }
+      prev = w;
+    }
+  }
+
+  function healthFor(entry) {
+    return _linkHealth[entry.id] || { state: 'unknown' };
+  }
+
+  // Localized text (see shared/i18n.js); `fallback` uses the same $1 form.
+  function msg(key, subs, fallback) {
+    if (I18n) return I18n.t(key, subs, fallback);
+    return String(fallback).replace(/\$(\d)/g, (m, n) => (subs && subs[n - 1] !== undefined ? subs[n - 1] : m));
+  }
+
+  function healthLabel(entry) {
+    const state = HEALTH_LABELS[healthFor(entry).state] || HEALTH_LABELS.unknown;
+    return msg(state[0], undefined, state[1]);
+  }
+
+  // Health state plus when it was checked and why it failed, for the tooltip.
+  function healthDetail(entry) {
+    const h = healthFor(entry);
+    let detail = healthLabel(entry);
+    if (h.checkedAt) detail += ', ' + msg('healthChecked', [new Date(h.checkedAt).toLocaleTimeString()], 'checked $1');
+    if (h.error) detail += ' (' + h.error + ')';
+    return detail;
+  }
+
+  // The link's own tooltip, or the localized "Open <label> Link".
+  function tooltipTitle(entry) {
+    return entry.tooltip || msg('iconTooltip', [entry.label], 'Open $1 Link');
+  }
+
+  // The storage ring belongs to the primary (Drive) link.
+  function storageFor(entry) {
+    const primary = Settings ? Settings.primaryLink(_currentLinks) : _currentLinks[0];
+    return (_driveStorage && primary && entry.id === primary.id) ? _driveStorage : null;
+  }
+
+  // "Storage: 1.2 TB free of 8 TB (85% used), updated 14:03", or why it
+  // failed.
+  function storageDetail(entry) {
+    const st = storageFor(entry);
+    if (!st) return '';
+    const when = st.checkedAt ? ', ' + msg('storageUpdated', [new Date(st.checkedAt).toLocaleTimeString()], 'updated $1') : '';
+    const fmt = Settings ? Settings.formatBytes : String;
+    const text = st.state === 'ok'
+      ? msg('storageFree', [fmt(st.free), fmt(st.total), st.percent], '$1 free of $2 ($3% used)')
+      : msg('storageUnavailable', [st.error || ''], 'not available ($1)');
+    return msg('storageDetail', [text + when], 'Storage: $1');
+  }
+
+  // Screen readers get the configured name and the health state
+  // ("Drive, online"), plus the usage once it passes the warning threshold;
+  // the tooltip adds the detail via aria-describedby.
+  function applyLabel(wrapper, entry) {
+    const st = storageFor(entry);
+    const full = st && st.state === 'ok' && st.level !== 'ok';
+    wrapper.setAttribute('aria-label', full
+      ? msg('iconAriaLabelStorage', [entry.label, healthLabel(entry), st.percent], '$1, $2, storage $3% full')
+      : msg('iconAriaLabel', [entry.label, healthLabel(entry)], '$1, $2'));
+    if (_tooltip && _tooltip.wrapper === wrapper) renderTooltip();
+  }
+
+  // Draw (or remove) the usage ring around the icon.
+  function renderUsage(wrapper, entry) {
+    const old = wrapper.querySelector('.local-unifi-drive-usage');
+    if (old) old.parentNode.removeChild(old);
+    const st = storageFor(entry);
+    if (!st || st.state !== 'ok') {
+      wrapper.removeAttribute('data-local-unifi-drive-storage');
+      return;
+    }
+    wrapper.setAttribute('data-local-unifi-drive-storage', st.level);
+    const ns = 'http://www.w3.org/2000/svg';
+    const ring = document.createElementNS(ns, 'svg');
+    ring.setAttribute('class', 'local-unifi-drive-usage');
+    ring.setAttribute('viewBox', '0 0 28 28');
+    ring.setAttribute('aria-hidden', 'true');
+    ring.setAttribute('focusable', 'false');
+    ring.setAttribute('data-level', st.level);
+    const circumference = 2 * Math.PI * 13;
+    for (const part of ['track', 'value']) {
+      const c = document.createElementNS(ns, 'circle');
+      c.setAttribute('class', 'local-unifi-drive-usage-' + part);
+      c.setAttribute('cx', '14');
+      c.setAttribute('cy', '14');
+      c.setAttribute('r', '13');
+      if (part === 'value') {
+        c.setAttribute('stroke-dasharray', (circumference * st.percent / 100).toFixed(2) + ' ' + circumference.toFixed(2));
+        // Start at 12 o'clock.
+        c.setAttribute('transform', 'rotate(-90 14 14)');
       }
-      if (img) {
-        img.addEventListener('error', () => {
-          try {
-            if (img.dataset && img.dataset._svgFallbackApplied) return;
-            // Use the shared transparent SVG data URL (no rect/background)
-            const data = createInlineSvgDataUrl();
-            if (data) {
-              img.dataset._svgFallbackApplied = '1';
-              img.src = data;
-              img.classList.add('local-unifi-drive-svg-fallback');
-            }
-          } catch (e) { console.debug('Drive icon fallback failed', e); }
+      ring.appendChild(c);
+    }
+    wrapper.appendChild(ring);
+  }
+
+  function applyStorage() {
+    for (const entry of currentEntries()) {
+      const wrapper = document.getElementById(iconIdFor(entry));
+      if (!wrapper) continue;
+      renderUsage(wrapper, entry);
+      applyLabel(wrapper, entry);
+    }
+  }
+
+  // Reflect the current health results on the rendered wrappers (state dot
+  // and tooltip). Safe to call at any time; missing wrappers are skipped.
+  function applyHealth() {
+    for (const entry of currentEntries()) {
+      const wrapper = document.getElementById(iconIdFor(entry));
+      if (!wrapper) continue;
+      const state = healthFor(entry).state || 'unknown';
+      wrapper.setAttribute('data-local-unifi-drive-health', state);
+      const dot = wrapper.querySelector('.local-unifi-drive-status');
+      if (dot) dot.setAttribute('data-state', state);
+      applyLabel(wrapper, entry);
+    }
+  }
+
+  // Load the last results and ask the worker for a fresh probe when they are
+  // missing or older than the configured interval.
+  function loadHealth(intervalSeconds) {
+    const local = storageArea('local');
+    if (!local) return;
+    try {
+      local.get({ linkHealth: {} }, (items) => {
+        _linkHealth = items.linkHealth || {};
+        applyHealth();
+        const maxAge = Math.max(Number(intervalSeconds) || 0, Settings ? Settings.MIN_HEALTH_INTERVAL : 30) * 1000;
+        const stale = currentEntries().some((entry) => {
+          const h = _linkHealth[entry.id];
+          return !h || !h.checkedAt || Date.now() - h.checkedAt > maxAge;
+        });
+        if (stale) sendToBackground({ type: 'health:check' });
+      });
+    } catch (e) { console.debug('[local-unifi-drive] loadHealth failed', e); }
+  }
+
+  // Same for the storage result; a missing or stale one (older than the
+  // check interval) asks the worker to fetch it.
+  function loadStorage(intervalSeconds) {
+    const local = storageArea('local');
+    if (!local) return;
+    try {
+      local.get({ driveStorage: null }, (items) => {
+        _driveStorage = items.driveStorage || null;
+        applyStorage();
+        const maxAge = Math.max(Number(intervalSeconds) || 0, Settings ? Settings.MIN_HEALTH_INTERVAL : 30) * 1000;
+        const st = _driveStorage;
+        if (_storageEnabled && (!st || !st.checkedAt || Date.now() - st.checkedAt > maxAge)) sendToBackground({ type: 'storage:check' });
+      });
+    } catch (e) { console.debug('[local-unifi-drive] loadStorage failed', e); }
+  }
+
+  // Inline SVG element (used when runtime id missing or img failed)
+  function makeInlineSvg(glyph) {
+    const wrapperSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    wrapperSvg.setAttribute('width', '28');
+    wrapperSvg.setAttribute('height', '28');
+    wrapperSvg.setAttribute('viewBox', '0 0 24 24');
+    wrapperSvg.classList.add('local-unifi-drive-svg');
+    wrapperSvg.setAttribute('aria-hidden', 'true');
+    wrapperSvg.setAttribute('focusable', 'false');
+    try {
+      // Use a transparent background and a simple motif path so site styles
+      // don't force a dark box behind the icon.
+      // (Avoid adding a filled rect here.)
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.setAttribute('fill', 'currentColor');
+      path.setAttribute('d', glyphPath(glyph));
+      wrapperSvg.appendChild(path);
+    } catch (e) { console.debug('inline svg creation failed', e); }
+    return wrapperSvg;
+  }
+
+  // Expand a link template against the current console page. Returns '' when
+  // not even the fallback (see Settings.expandTemplate) is a usable URL.
+  function resolveUrl(url) {
+    const raw = url || '';
+    if (!Settings || !Settings.hasTemplate(raw)) return raw;
+    const res = Settings.expandTemplate(raw, Settings.templateContext(location.href));
+    if (res.missing.length) {
+      console.debug('[local-unifi-drive] template values missing on this page:', res.missing.join(', '), '->', res.url || '(nothing)');
+      diag('template-fallback', { missing: res.missing, resolved: !!res.url });
+    }
+    return res.url;
+  }
+
+  // Keep an anchor's href on the expanded URL, so middle-click and
+  // Ctrl/Cmd-click open what a plain click would.
+  function refreshHref(a, url) {
+    const resolved = resolveUrl(url);
+    if (resolved) a.setAttribute('href', resolved);
+    else a.removeAttribute('href');
+  }
+
+  // The background worker opens links according to the `openMode` setting;
+  // without it (demo page, reloaded extension) fall back to a new tab. The
+  // drawer needs no worker, so it also works on the demo page.
+  function openUrl(url, label) {
+    const target = resolveUrl(url);
+    if (!target) return;
+    if (_openMode === 'drawer' && Drawer) return openDrawer(target, label);
+    const fallback = () => window.open(target, '_blank');
+    if (!runtimeHasId()) return fallback();
+    const message = { type: 'open', url: target };
+    if (_openMode === 'sidePanel') message.mode = 'sidePanel';
+    try {
+      Platform.runtime.sendMessage(message, (res, err) => {
+        if (err || !res || !res.ok) fallback();
+      });
+    } catch (e) {
+      console.debug('[local-unifi-drive] open via background failed', e);
+      fallback();
+    }
+  }
+
+  // Drawer state per console: storage.local `drawerState` maps an origin to
+  // { open, width, url, label }.
+  function saveDrawerState(patch) {
+    const local = storageArea('local');
+    if (!local) return;
+    try {
+      local.get({ drawerState: {} }, (items) => {
+        const all = Object.assign({}, items.drawerState);
+        all[location.origin] = Object.assign({}, all[location.origin], patch);
+        local.set({ drawerState: all });
+      });
+    } catch (e) { console.debug('[local-unifi-drive] saving drawer state failed', e); }
+  }
+
+  function readDrawerState(cb) {
+    const local = storageArea('local');
+    if (!local) return cb({});
+    try {
+      local.get({ drawerState: {} }, (items) => cb((items.drawerState || {})[location.origin] || {}));
+    } catch (e) { cb({}); }
+  }
+
+  function openDrawer(target, label) {
+    readDrawerState((state) => {
+      Drawer.open({
+        url: target,
+        label,
+        width: state.width,
+        instance: INSTANCE_ID,
+        onResize: (width) => saveDrawerState({ width }),
+        // Closed by the page going away doesn't count: it reopens next time.
+        onClose: (byUser) => { if (byUser) saveDrawerState({ open: false }); },
+        onFallback: (url) => {
+          Drawer.close(true);
+          window.open(url, '_blank');
+        },
+        // The console's CSP doesn't allow the frame at all: use a tab.
+        onBlocked: (url) => {
+          diag('drawer-blocked', { origin: new URL(url).origin });
+          Drawer.close(true);
+          window.open(url, '_blank');
+        }
+      });
+      saveDrawerState({ open: true, url: target, label: label || '' });
+    });
+  }
+
+  function restoreDrawer() {
+    if (_drawerRestored || !Drawer) return;
+    _drawerRestored = true;
+    if (_openMode !== 'drawer' || _hiddenOrigins.indexOf(location.origin) !== -1) return;
+    readDrawerState((state) => {
+      if (state.open && /^https?:\/\//i.test(String(state.url || ''))) openDrawer(state.url, state.label);
+    });
+  }
+
+  // Middle-click and modifier clicks keep their browser meaning (new tab,
+  // new window, download) on the real href; only plain clicks are ours.
+  function isPlainClick(e) {
+    return e.button === 0 && !e.ctrlKey && !e.metaKey && !e.shiftKey && !e.altKey;
+  }
+
+  // Hover/focus tooltip styled after the app-link tooltips in the UniFi
+  // header; it replaces the native title, which looks out of place there.
+  // One at a time, in <body> like the menus.
+  const TOOLTIP_DELAY_MS = 400;
+  let _tooltip = null;
+  let _tooltipTimer = null;
+
+  function showTooltip(wrapper, entry, immediate) {
+    clearTimeout(_tooltipTimer);
+    if (_openMenu) return;
+    const show = () => {
+      hideTooltip();
+      const el = document.createElement('div');
+      el.className = 'local-unifi-drive-tooltip';
+      el.id = ICON_ID + '-tooltip';
+      el.setAttribute('role', 'tooltip');
+      el.setAttribute('data-local-unifi-drive-tooltip', entry.id);
+      el.setAttribute(INSTANCE_ATTR, INSTANCE_ID);
+      el.setAttribute('data-local-unifi-drive-theme', _theme);
+      document.body.appendChild(el);
+      _tooltip = { el, wrapper, entry };
+      renderTooltip();
+      wrapper.setAttribute('aria-describedby', el.id);
+    };
+    if (immediate) show();
+    else _tooltipTimer = setTimeout(show, TOOLTIP_DELAY_MS);
+  }
+
+  // Fill and position the open tooltip: centered below the icon, or above
+  // it when there is no room below.
+  function renderTooltip() {
+    const { el, wrapper, entry } = _tooltip;
+    el.textContent = '';
+    const title = document.createElement('div');
+    title.className = 'local-unifi-drive-tooltip-title';
+    title.textContent = tooltipTitle(entry);
+    const detail = document.createElement('div');
+    detail.className = 'local-unifi-drive-tooltip-detail';
+    detail.textContent = healthDetail(entry);
+    el.appendChild(title);
+    el.appendChild(detail);
+    const storage = storageDetail(entry);
+    if (storage) {
+      const line = document.createElement('div');
+      line.className = 'local-unifi-drive-tooltip-detail';
+      line.textContent = storage;
+      el.appendChild(line);
+    }
+    const r = wrapper.getBoundingClientRect();
+    const view = document.documentElement;
+    const left = Math.max(4, Math.min(r.left + r.width / 2 - el.offsetWidth / 2, view.clientWidth - el.offsetWidth - 4));
+    const below = r.bottom + 8;
+    const top = (below + el.offsetHeight > view.clientHeight && r.top - 8 - el.offsetHeight > 0) ? r.top - 8 - el.offsetHeight : below;
+    el.style.left = (left + window.scrollX) + 'px';
+    el.style.top = (top + window.scrollY) + 'px';
+  }
+
+  function hideTooltip() {
+    clearTimeout(_tooltipTimer);
+    _tooltipTimer = null;
+    if (!_tooltip) return;
+    const { el, wrapper } = _tooltip;
+    _tooltip = null;
+    if (el.parentNode) el.parentNode.removeChild(el);
+    wrapper.removeAttribute('aria-describedby');
+  }
+
+  // Keyboard focus only: a mouse click shouldn't pop the tooltip again.
+  function isFocusVisible(el) {
+    try { return el.matches(':focus-visible'); } catch (e) { return true; }
+  }
+
+  // Popover menus (shares and the context menu). Only one menu is open at a
+  // time; it lives in <body> so header overflow rules can't clip it.
+  let _openMenu = null;
+
+  function closeMenu(restoreFocus) {
+    const m = _openMenu;
+    if (!m) return;
+    _openMenu = null;
+    try { document.removeEventListener('pointerdown', m.onOutside, true); } catch (e) {}
+    try { window.removeEventListener('resize', m.onViewport); } catch (e) {}
+    try { window.removeEventListener('scroll', m.onViewport, true); } catch (e) {}
+    if (m.menu.parentNode) m.menu.parentNode.removeChild(m.menu);
+    if (m.expands) m.wrapper.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) try { m.wrapper.focus(); } catch (e) {}
+  }
+
+  function toggleMenu(wrapper, entry) {
+    if (_openMenu && _openMenu.wrapper === wrapper && _openMenu.expands) closeMenu(true);
+    else openMenu(wrapper, entry, 0);
+  }
+
+  // Open the shares menu for `entry` and focus item `focusIndex` (-1 = last).
+  function openMenu(wrapper, entry, focusIndex) {
+    const items = [{ label: entry.label, url: entry.url, main: true, separatorAfter: entry.shares.length > 0 }].concat(entry.shares);
+    showMenu(wrapper, items, { key: entry.id, label: entry.label, id: iconIdFor(entry) + '-menu', expands: true, focusIndex });
+  }
+
+  // Render a menu for `wrapper`. Items are links ({ label, url }) or actions
+  // ({ label, run }); `separatorAfter` draws a divider below an item.
+  // opts: { key, label, id, expands (wrapper has aria-haspopup), at (viewport
+  // { x, y } to open at, else below the wrapper), focusIndex }.
+  function showMenu(wrapper, items, opts) {
+    closeMenu(false);
+    hideTooltip();
+    const menu = document.createElement('div');
+    menu.className = 'local-unifi-drive-menu';
+    menu.setAttribute('data-local-unifi-drive-menu', opts.key);
+    menu.setAttribute(INSTANCE_ATTR, INSTANCE_ID);
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('data-local-unifi-drive-theme', _theme);
+    menu.setAttribute('aria-label', opts.label);
+    menu.id = opts.id;
+    if (opts.expands) wrapper.setAttribute('aria-controls', menu.id);
+
+    const els = items.map((item) => {
+      const a = document.createElement('a');
+      a.className = 'local-unifi-drive-menu-item' + (item.main ? ' local-unifi-drive-menu-main' : '');
+      a.setAttribute('role', 'menuitem');
+      a.setAttribute('tabindex', '-1');
+      a.textContent = item.label;
+      if (item.run) {
+        a.addEventListener('click', (e) => {
+          e.preventDefault();
+          closeMenu(!item.keepsFocus);
+          item.run();
+        });
+      } else {
+        refreshHref(a, item.url);
+        a.title = a.getAttribute('href') || item.url;
+        a.addEventListener('click', (e) => {
+          if (!isPlainClick(e)) return closeMenu(false);
+          e.preventDefault();
+          closeMenu(true);
+          openUrl(item.url, item.label);
         });
       }
+      menu.appendChild(a);
+      if (item.separatorAfter) {
+        const sep = document.createElement('div');
+        sep.className = 'local-unifi-drive-menu-separator';
+        sep.setAttribute('role', 'separator');
+        menu.appendChild(sep);
+      }
+      return a;
+    });
+
+    const focusAt = (i) => {
+      const n = els.length;
+      const idx = ((i % n) + n) % n;
+      els[idx].focus();
+    };
+    menu.addEventListener('keydown', (e) => {
+      const current = els.indexOf(document.activeElement);
+      switch (e.key) {
+        case 'ArrowDown': e.preventDefault(); focusAt(current + 1); break;
+        case 'ArrowUp': e.preventDefault(); focusAt(current - 1); break;
+        case 'Home': e.preventDefault(); focusAt(0); break;
+        case 'End': e.preventDefault(); focusAt(-1); break;
+        case 'Escape': e.preventDefault(); closeMenu(true); break;
+        case 'Tab': closeMenu(false); break;
+        case 'Enter':
+        case ' ':
+          // Action items have no href, so Enter wouldn't activate them natively.
+          if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) break;
+          e.preventDefault();
+          if (current >= 0) els[current].click();
+          break;
+        default: break;
+      }
+    });
+
+    document.body.appendChild(menu);
+    const r = wrapper.getBoundingClientRect();
+    const x = opts.at ? opts.at.x : r.left;
+    const y = opts.at ? opts.at.y : r.bottom + 6;
+    const left = Math.max(4, Math.min(x, document.documentElement.clientWidth - menu.offsetWidth - 4));
+    menu.style.top = (y + window.scrollY) + 'px';
+    menu.style.left = (left + window.scrollX) + 'px';
+
+    const onOutside = (e) => { if (!menu.contains(e.target) && !wrapper.contains(e.target)) closeMenu(false); };
+    const onViewport = (e) => { if (!(e && e.target && e.target.nodeType === 1 && menu.contains(e.target))) closeMenu(false); };
+    document.addEventListener('pointerdown', onOutside, true);
+    window.addEventListener('resize', onViewport);
+    window.addEventListener('scroll', onViewport, true);
+    _openMenu = { menu, wrapper, onOutside, onViewport, expands: !!opts.expands };
+    if (opts.expands) wrapper.setAttribute('aria-expanded', 'true');
+    focusAt(opts.focusIndex || 0);
+  }
+
+  // Copy through the async clipboard API, falling back to execCommand for
+  // consoles served over plain http.
+  function copyText(text) {
+    const legacy = () => {
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      ta.setAttribute('readonly', '');
+      ta.style.position = 'fixed';
+      ta.style.opacity = '0';
+      document.body.appendChild(ta);
+      ta.select();
+      try { document.execCommand('copy'); } catch (e) { console.debug('[local-unifi-drive] copy failed', e); }
+      ta.remove();
+    };
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      navigator.clipboard.writeText(text).catch(legacy);
+    } else legacy();
+  }
+
+  // Ask the background worker for something a content script can't do.
+  function sendToBackground(msg) {
+    if (!runtimeHasId()) return false;
+    try {
+      Platform.runtime.sendMessage(msg);
+      return true;
+    } catch (e) {
+      console.debug('[local-unifi-drive] message to background failed', msg.type, e);
+      return false;
     }
+  }
 
-    // Inline SVG element (used when runtime id missing or img failed)
-    function makeInlineSvg() {
-      const wrapperSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      wrapperSvg.setAttribute('width', '28');
-      wrapperSvg.setAttribute('height', '28');
-      wrapperSvg.setAttribute('viewBox', '0 0 24 24');
-      wrapperSvg.classList.add('local-unifi-drive-svg');
-      try {
-        // Use a transparent background and a simple motif path so site styles
-        // don't force a dark box behind the icon.
-        // (Avoid adding a filled rect here.)
-  // database/cylinder motif path using currentColor so CSS controls color
-  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-  path.setAttribute('fill', 'currentColor');
-  path.setAttribute('d', 'M12 2C7.03 2 3 3.79 3 6v12c0 2.21 4.03 4 9 4s9-1.79 9-4V6c0-2.21-4.03-4-9-4zm0 2c3.87 0 7 1.12 7 2s-3.13 2-7 2-7-1.12-7-2 3.13-2 7-2zm0 14c-3.87 0-7-1.12-7-2V10c1.3 1.07 4.2 1.71 7 1.71s5.7-.64 7-1.71v6c0 .88-3.13 2-7 2z');
-  wrapperSvg.appendChild(path);
-      } catch (e) { console.debug('inline svg creation failed', e); }
-      return wrapperSvg;
+  function saveSyncSetting(items) {
+    const sync = storageArea('sync');
+    if (!sync) return;
+    try { sync.set(items); } catch (e) { console.debug('[local-unifi-drive] saving setting failed', e); }
+  }
+
+  // "Move icon…" choices: the placement profile's default, first, after
+  // each app link on this console, or last.
+  function moveMenuItems() {
+    const apps = [];
+    for (const a of appLinks(document)) {
+      const id = appIdOf(a);
+      if (id && apps.indexOf(id) === -1) apps.push(id);
     }
+    const label = (id) => (Settings ? Settings.appLabel(id) : id);
+    const set = (mode, app) => () => saveSyncSetting({ iconPosition: { mode, app: app || '' } });
+    const items = [{ label: msg('movePositionDefault', undefined, 'Profile default'), run: set(''), separatorAfter: true }, { label: msg('movePositionFirst', undefined, 'First'), run: set('first') }];
+    for (const id of apps) items.push({ label: msg('movePositionAfter', [label(id)], 'After $1'), run: set('after', id) });
+    items.push({ label: msg('movePositionLast', undefined, 'Last'), run: set('last') });
+    return items;
+  }
+
+  // Right-click (or the context menu key) on a wrapper. Shift+right-click
+  // keeps the browser's own link menu.
+  function openContextMenu(wrapper, entry, e) {
+    const at = (e && (e.clientX || e.clientY)) ? { x: e.clientX, y: e.clientY } : null;
+    const url = () => resolveUrl(entry.url);
+    const items = [
+      { label: msg('menuCopyLink', [entry.label], 'Copy $1 link'), run: () => { const u = url(); if (u) copyText(u); } },
+      {
+        label: msg('menuOpenNewWindow', undefined, 'Open in new window'),
+        run: () => {
+          const u = url();
+          if (u && !sendToBackground({ type: 'open', url: u, mode: 'newWindow' })) window.open(u, '_blank', 'noopener');
+        }
+      },
+      {
+        label: msg('menuHideHere', undefined, 'Hide on this console'),
+        run: () => saveSyncSetting({ hiddenOrigins: _hiddenOrigins.concat([location.origin]) }),
+        hidden: _lockedKeys.indexOf('hiddenOrigins') !== -1
+      },
+      {
+        label: msg('menuMoveIcon', undefined, 'Move icon…'),
+        keepsFocus: true,
+        run: () => showMenu(wrapper, moveMenuItems(), { key: 'move', label: msg('menuMoveIconTitle', undefined, 'Move icon'), id: ICON_ID + '-move-menu', at }),
+        // Set by policy or by this console's profile: not ours to change here.
+        hidden: _lockedKeys.indexOf('iconPosition') !== -1 || !!(_consoleProfile && _consoleProfile.iconPosition)
+      },
+      { label: msg('menuOpenSettings', undefined, 'Open extension settings'), run: () => sendToBackground({ type: 'openOptions' }) }
+    ].filter((item) => !item.hidden);
+    items[items.length - 2].separatorAfter = true;
+    showMenu(wrapper, items, { key: 'context', label: msg('menuActions', [entry.label], '$1 actions'), id: ICON_ID + '-context-menu', at });
+  }
+
+  // Strong inline style overrides to defeat site CSS that produces a black box.
+  const WRAPPER_STYLES = {
+    'background': 'transparent',
+    'background-image': 'none',
+    'box-shadow': 'none',
+    'filter': 'none',
+    'padding': '0',
+    'margin': '0',
+    'display': 'inline-flex',
+    'align-items': 'center',
+    'justify-content': 'center',
+    'z-index': '9999'
+  };
+  const CHILD_STYLES = {
+    'background': 'transparent',
+    'background-image': 'none',
+    'box-shadow': 'none',
+    'filter': 'none',
+    'width': '28px',
+    'height': '28px',
+    'display': 'inline-block'
+  };
+
+  function applyImportant(el, map) {
+    if (!el || !map || !el.style) return;
+    for (const k of Object.keys(map)) {
+      try { el.style.setProperty(k, map[k], 'important'); } catch (e) {}
+    }
+  }
+
+  // False on the demo page and once the extension was reloaded underneath us.
+  function runtimeHasId() {
+    try { return !!(Platform && Platform.runtime.id); } catch (e) { return false; }
+  }
+
+  // A storage area of the platform layer, or null when it's not loaded.
+  function storageArea(name) {
+    return (Platform && Platform.storage[name]) || null;
+  }
+
+  // Pick the image for an entry in the given theme: the link's own image URL,
+  // then the uploaded Drive icon for that theme (or the other theme's one),
+  // then the bundled PNG, which is only drawn for dark headers. Returns ''
+  // when the inline SVG glyph should be used (CSS colors it per theme).
+  function iconSourceFor(entry, theme) {
+    if (/^(https?:|data:image\/)/i.test(entry.icon)) return entry.icon;
+    if (GLYPH_PATHS[entry.icon] && entry.icon !== 'drive') return '';
+    const custom = _customIcons[theme] || _customIcons[theme === 'light' ? 'dark' : 'light'];
+    if (custom) return custom;
+    if (theme === 'dark' && runtimeHasId()) {
+      try { return Platform.runtime.getURL('icons/DriveDark.png'); } catch (e) { return ''; }
+    }
+    return '';
+  }
 
-    svgEl = makeInlineSvg();
+  // (Re)build the <img>/<svg> inside a wrapper for the current theme. Keeps
+  // the existing child when the source would not change.
+  function renderIconContent(wrapper, entry, theme) {
+    wrapper.setAttribute('data-local-unifi-drive-theme', theme);
+    // Build icon: prefer an image (bundled PNG when running as an installed
+    // extension, or a custom one). If runtime id is missing or CSP blocks
+    // resource loading, fall back to an inline SVG so the icon always renders
+    // and avoids net::ERR_FAILED chrome-extension://invalid/.
+    const src = iconSourceFor(entry, theme);
+    const glyph = GLYPH_PATHS[entry.icon] ? entry.icon : 'drive';
+    const old = wrapper.querySelector('.local-unifi-drive-img, .local-unifi-drive-svg');
+    if (old && wrapper.getAttribute('data-local-unifi-drive-src') === src) return old;
+    wrapper.setAttribute('data-local-unifi-drive-src', src);
 
+    let childEl = null;
+    if (src) {
+      const img = document.createElement('img');
+      img.className = 'local-unifi-drive-img';
+      // Decorative: the wrapper's aria-label names the icon.
+      img.alt = '';
+      img.style.cursor = 'pointer';
+      img.addEventListener('error', () => {
+        try {
+          if (img.dataset && img.dataset._svgFallbackApplied) return;
+          // Use the shared transparent SVG data URL (no rect/background)
+          const data = createInlineSvgDataUrl(glyph);
+          if (data) {
+            img.dataset._svgFallbackApplied = '1';
+            img.src = data;
+            img.classList.add('local-unifi-drive-svg-fallback');
+          }
+        } catch (e) { console.debug('Drive icon fallback failed', e); }
+      });
+      img.src = src;
+      childEl = img;
+    } else {
+      childEl = makeInlineSvg(glyph);
+    }
+    applyImportant(childEl, CHILD_STYLES);
+    if (old && old.parentNode) old.parentNode.replaceChild(childEl, old);
+    else wrapper.insertBefore(childEl, wrapper.firstChild);
+    return childEl;
+  }
+
+  // Build the wrapper anchor for one launcher link.
+  function buildWrapper(entry, index) {
     // Create wrapper anchor (use same wrapper class as before for CSS)
     const wrapper = document.createElement('a');
     wrapper.className = 'local-unifi-drive-wrapper';
-    wrapper.id = ICON_ID;
+    wrapper.id = iconIdFor(entry);
     wrapper.setAttribute('data-local-unifi-drive', '1');
-    wrapper.setAttribute('role', 'button');
-    wrapper.setAttribute('href', '#');
+    wrapper.setAttribute(INSTANCE_ATTR, INSTANCE_ID);
+    wrapper.setAttribute('data-local-unifi-drive-link', entry.id);
+    wrapper.setAttribute('data-local-unifi-drive-order', String(index));
+    const hasShares = !!(entry.shares && entry.shares.length);
+    // A menu button with shares, otherwise a link (explicit, since an
+    // unresolvable template leaves the anchor without href).
+    wrapper.setAttribute('role', hasShares ? 'button' : 'link');
+    refreshHref(wrapper, entry.url);
+    if (Settings && Settings.hasTemplate(entry.url)) {
+      // Route values change with SPA navigation; refresh before any click.
+      const refresh = () => refreshHref(wrapper, entry.url);
+      wrapper.addEventListener('pointerenter', refresh);
+      wrapper.addEventListener('focus', refresh);
+    }
     wrapper.setAttribute('tabindex', '0');
-    // Attach either the <img> (if available) or the inline SVG element.
-    const childEl = img || svgEl;
-    if (childEl) wrapper.appendChild(childEl);
-    wrapper.addEventListener('click', (e) => { e.preventDefault(); window.open((link || _currentDriveLink || DEFAULT_LINK), '_blank'); });
+    applyLabel(wrapper, entry);
+    // Theme is re-detected once the wrapper sits in the header (see applyTheme).
+    renderIconContent(wrapper, entry, _theme);
+    // Online/offline/unknown dot, kept in sync by applyHealth().
+    const dot = document.createElement('span');
+    dot.className = 'local-unifi-drive-status';
+    dot.setAttribute('aria-hidden', 'true');
+    dot.setAttribute('data-state', healthFor(entry).state || 'unknown');
+    wrapper.setAttribute('data-local-unifi-drive-health', healthFor(entry).state || 'unknown');
+    wrapper.appendChild(dot);
+    renderUsage(wrapper, entry);
+    wrapper.addEventListener('contextmenu', (e) => {
+      if (e.shiftKey) return;
+      e.preventDefault();
+      openContextMenu(wrapper, entry, e);
+    });
+    wrapper.addEventListener('pointerenter', () => showTooltip(wrapper, entry, false));
+    wrapper.addEventListener('pointerleave', hideTooltip);
+    wrapper.addEventListener('focus', () => { if (isFocusVisible(wrapper)) showTooltip(wrapper, entry, true); });
+    wrapper.addEventListener('blur', hideTooltip);
+    // With shares configured the icon opens a menu; the main link is its
+    // first (default) entry.
+    const activate = () => (hasShares ? toggleMenu(wrapper, entry) : openUrl(entry.url, entry.label));
+    if (hasShares) {
+      wrapper.setAttribute('aria-haspopup', 'menu');
+      wrapper.setAttribute('aria-expanded', 'false');
+    }
+    wrapper.addEventListener('click', (e) => {
+      hideTooltip();
+      if (!isPlainClick(e)) return;
+      e.preventDefault();
+      activate();
+    });
+    // Enter and Space both activate; modified keys keep their browser meaning.
+    wrapper.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') return hideTooltip();
+      if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        hideTooltip();
+        activate();
+      } else if (hasShares && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        openMenu(wrapper, entry, e.key === 'ArrowUp' ? -1 : 0);
+      }
+    });
+    applyImportant(wrapper, WRAPPER_STYLES);
+    return wrapper;
+  }
+
+  // Parse "rgb(a)(r, g, b[, a])" into [r, g, b, a].
+  function parseColor(value) {
+    const m = /rgba?\(([^)]+)\)/.exec(String(value || ''));
+    if (!m) return null;
+    const parts = m[1].split(/[\s,\/]+/).filter(Boolean).map(Number);
+    if (parts.length < 3 || parts.some(isNaN)) return null;
+    return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+  }
 
-    // Strong inline style overrides to defeat site CSS that produces a black box.
+  // Decide whether the console currently shows a light or dark header.
+  // Order: forced option, explicit theme attributes/classes, the effective
+  // background color behind the icons, then the OS preference.
+  function detectTheme(near) {
+    if (_themeMode === 'light' || _themeMode === 'dark') return _themeMode;
+    const roots = [document.documentElement, document.body].filter(Boolean);
+    for (const el of roots) {
+      const hint = ((el.getAttribute('data-theme') || '') + ' ' + (el.getAttribute('class') || '')).toLowerCase();
+      if (/\bdark\b|theme-dark|dark-theme/.test(hint)) return 'dark';
+      if (/\blight\b|theme-light|light-theme/.test(hint)) return 'light';
+    }
     try {
-      const applyImportant = (el, map) => {
-        if (!el || !map) return;
-        for (const k of Object.keys(map)) {
-          try { el.style.setProperty(k, map[k], 'important'); } catch (e) {}
-        }
-      };
-      const wrapperStyles = {
-        'background': 'transparent',
-        'background-image': 'none',
-        'box-shadow': 'none',
-        'filter': 'none',
-        'padding': '0',
-        'margin': '0',
-        'display': 'inline-flex',
-        'align-items': 'center',
-        'justify-content': 'center',
-        'z-index': '9999'
-      };
-      const childStyles = {
-        'background': 'transparent',
-        'background-image': 'none',
-        'box-shadow': 'none',
-        'filter': 'none',
-        'width': '28px',
-        'height': '28px',
-        'display': 'inline-block'
-      };
-      applyImportant(wrapper, wrapperStyles);
-      if (childEl && childEl.style) applyImportant(childEl, childStyles);
-      // If it's an inline SVG, ensure path fill is set
-      try {
-        if (childEl && childEl.namespaceURI === 'http://www.w3.org/2000/svg') {
-          const p = childEl.querySelector('path');
-          if (p) p.setAttribute('fill', '#60a5fa');
+      let node = near || document.body;
+      while (node && node.nodeType === 1) {
+        const c = parseColor(window.getComputedStyle(node).backgroundColor);
+        if (c && c[3] > 0.5) {
+          const lum = (0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2]) / 255;
+          return lum < 0.5 ? 'dark' : 'light';
         }
-      } catch (e) {}
+        node = node.parentElement;
+      }
     } catch (e) {}
+    try { return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark'; } catch (e) { return 'dark'; }
+  }
 
-    // Find the explicit header container
-    const sc = document.querySelector('div.unifi-portal-1vz64y0.evzy7n80');
-    const container = sc || (function() {
-      // fallback heuristics: find a header-like element that contains both network and protect
-      const n = document.querySelector('a[data-testid="applink-network"]');
-      const p = document.querySelector('a[data-testid="applink-protect"]');
-      if (!n || !p) return document.body;
-      let anc = n.parentElement;
-      while (anc && !anc.contains(p)) anc = anc.parentElement;
-      return anc || document.body;
-    })();
-
-    // Determine the visual host (direct child of container) that contains the protect anchor
-    function findHostForAnchor(anchor, containerEl) {
-      if (!anchor || !containerEl) return null;
-      let host = anchor;
-      while (host && host.parentElement && host.parentElement !== containerEl) host = host.parentElement;
-      if (host && host.parentElement === containerEl) return host;
-      return null;
-    }
-
-    const protectAnchor = container.querySelector('a[data-testid="applink-protect"]');
-    const networkAnchor = container.querySelector('a[data-testid="applink-network"]');
+  // Re-detect the theme and swap icon variants/colors where it changed.
+  function applyTheme() {
+    const owned = ownedIcons();
+    const theme = detectTheme(owned[0] && owned[0].parentElement);
+    _theme = theme;
+    for (const wrapper of owned) {
+      const entry = currentEntries().find((l) => l.id === wrapper.getAttribute('data-local-unifi-drive-link'));
+      if (entry) renderIconContent(wrapper, entry, theme);
+      else wrapper.setAttribute('data-local-unifi-drive-theme', theme);
+    }
+    if (_openMenu) _openMenu.menu.setAttribute('data-local-unifi-drive-theme', theme);
+  }
 
+  // Follow theme switches: attribute changes on <html>/<body> and the OS
+  // color-scheme preference. Installed once; undone by teardown.
+  function ensureThemeWatcher() {
+    if (ensureThemeWatcher._installed) return;
+    ensureThemeWatcher._installed = true;
+    let timer = null;
+    const schedule = () => {
+      if (timer) return;
+      timer = setTimeout(() => { timer = null; applyTheme(); }, 50);
+    };
+    _cleanups.push(() => clearTimeout(timer));
     try {
-      console.debug('[local-unifi-drive] container resolved:', container);
-      // Helper: find the direct child of container that contains the anchor
-      function findDirectChildContaining(anchor, containerEl) {
-        if (!anchor || !containerEl) return null;
-        const children = Array.from(containerEl.children);
-        for (const child of children) {
-          if (child.contains(anchor)) return child;
-        }
-        return null;
+      const mo = new MutationObserver(schedule);
+      for (const el of [document.documentElement, document.body]) {
+        if (el) mo.observe(el, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
       }
+      _cleanups.push(() => mo.disconnect());
+    } catch (e) {}
+    try {
+      const mq = window.matchMedia('(prefers-color-scheme: dark)');
+      if (mq.addEventListener) listen(mq, 'change', schedule);
+    } catch (e) {}
+  }
 
-      if (protectAnchor) {
-        console.debug('[local-unifi-drive] protectAnchor found, parent=', protectAnchor.parentElement);
-        // Ensure we place the wrapper directly into the header (protectAnchor.parentElement is the header container)
-        try {
-          const parent = protectAnchor.parentElement || container;
-          parent.insertBefore(wrapper, protectAnchor.nextSibling);
-          console.debug('[local-unifi-drive] inserted wrapper into protect parent');
-          // Copy parent classes so wrapper inherits header styling
-          try { for (const c of Array.from((parent.classList || []))) if (c) wrapper.classList.add(c); } catch (e) {}
-          return;
-        } catch (e) {
-          // fallback to previous robust insertion
-          const topChild = findDirectChildContaining(protectAnchor, container) || protectAnchor;
-          try {
-            const children = Array.from(container.children);
-            const idx = children.indexOf(topChild);
-            try { for (const c of Array.from(topChild.classList || [])) if (c) wrapper.classList.add(c); } catch (e) {}
-            if (idx >= 0) {
-              const next = container.children[idx + 1] || null;
-              container.insertBefore(wrapper, next);
-            } else {
-              (topChild.parentElement || container).insertBefore(wrapper, topChild.nextSibling);
-            }
-          } catch (e2) {
-            try { topChild.insertAdjacentElement('afterend', wrapper); } catch (e3) { (topChild.parentElement || container).insertBefore(wrapper, topChild.nextSibling); }
-          }
-          return;
-        }
-      }
+  // Record a placement decision in the diagnostics ring buffer.
+  function diag(event, detail) {
+    if (!Diagnostics) return;
+    try { Diagnostics.record(event, detail); } catch (e) {}
+  }
 
-      if (networkAnchor) {
-        const topChild = findDirectChildContaining(networkAnchor, container) || networkAnchor;
-        try {
-          const children = Array.from(container.children);
-          const idx = children.indexOf(topChild);
-          try { for (const c of Array.from(topChild.classList || [])) if (c) wrapper.classList.add(c); } catch (e) {}
-          if (idx >= 0) {
-            const next = container.children[idx + 1] || null;
-            container.insertBefore(wrapper, next);
-          } else {
-            (topChild.parentElement || container).insertBefore(wrapper, topChild.nextSibling);
-          }
-        } catch (e) {
-          try { topChild.insertAdjacentElement('afterend', wrapper); } catch (e2) { (topChild.parentElement || container).insertBefore(wrapper, topChild.nextSibling); }
-        }
-        return;
+  function describeEl(el) {
+    return Diagnostics ? Diagnostics.describeElement(el) : (el && el.tagName ? el.tagName.toLowerCase() : null);
+  }
+
+  function safeQuery(scope, selector) {
+    try { return scope.querySelector(selector); } catch (e) { return null; }
+  }
+
+  function safeQueryAll(scope, selector) {
+    try { return Array.from(scope.querySelectorAll(selector)); } catch (e) { return []; }
+  }
+
+  // Profiles to try, in order. A pinned profile is tried alone.
+  function activePlacementProfiles() {
+    const pinned = _placementProfileId && _placementProfiles.find((p) => p.id === _placementProfileId);
+    return pinned ? [pinned] : _placementProfiles;
+  }
+
+  // When none of a profile's container selectors match (e.g. a new UniFi
+  // build renamed the generated classes), use the closest element that holds
+  // every anchor the profile knows about.
+  function deriveContainer(profile) {
+    const anchors = [];
+    for (const sel of profile.anchorSelectors) for (const el of safeQueryAll(document, sel)) anchors.push(el);
+    if (anchors.length < 2) return anchors[0] ? anchors[0].parentElement : null;
+    let anc = anchors[0].parentElement;
+    while (anc && !anchors.every((el) => anc.contains(el))) anc = anc.parentElement;
+    return anc;
+  }
+
+  // Resolve where a placement profile puts the icons: { profile, container,
+  // anchor, position }. Profiles are tried in order; the first one that finds
+  // an anchor wins. A profile whose container matched but whose anchors did
+  // not is only used when no other profile does better. Returns null when
+  // nothing matched at all. When `trace` is given, one entry per profile
+  // tried is pushed to it (for diagnostics).
+  function resolveProfilePlacement(trace) {
+    let containerOnly = null;
+    for (const profile of activePlacementProfiles()) {
+      let container = null;
+      let containerSel = null;
+      for (const sel of profile.containerSelectors) {
+        container = safeQuery(document, sel);
+        if (container) { containerSel = sel; break; }
+      }
+      let anchor = null;
+      let anchorSel = null;
+      for (const sel of profile.anchorSelectors) {
+        anchor = safeQuery(container || document, sel);
+        if (anchor) { anchorSel = sel; break; }
       }
+      if (trace) trace.push({ profile: profile.id, container: containerSel, anchor: anchorSel });
+      if (anchor) return { profile, container: container || deriveContainer(profile) || anchor.parentElement, anchor, position: profile.position };
+      if (container && !containerOnly) containerOnly = { profile, container, anchor: null, position: 'append' };
+    }
+    return containerOnly;
+  }
 
-  // fallback: append to container
-  (container || document.body).appendChild(wrapper);
-  console.debug('[local-unifi-drive] appended wrapper to container/body as fallback');
+  // Every UniFi app link in scope, in document order.
+  function appLinks(scope) {
+    return safeQueryAll(scope || document, 'a[data-testid^="applink-"]');
+  }
 
-      // Verification pass: ensure the created wrapper becomes the immediate
-      // sibling of the protect anchor where possible. Some UniFi DOMs nest the
-      // anchor inside a child container; try moving the inserted element into
-      // the protect anchor's parent (direct sibling) and if that fails, ensure
-      // it's placed after the visual host child inside the header container.
-      try {
-        const created = document.getElementById(ICON_ID);
-        if (protectAnchor && created && protectAnchor.nextElementSibling !== created) {
-          try { protectAnchor.parentElement.insertBefore(created, protectAnchor.nextSibling); } catch (e) {}
-        }
-        // Final fallback: move into container after the direct child that
-        // contains protectAnchor (so it's visually adjacent even if not a
-        // DOM sibling of the anchor itself).
-        if (protectAnchor && created && protectAnchor.nextElementSibling !== created) {
-          const topChild = (function findDirectChildContaining(anchor, containerEl) {
-            if (!anchor || !containerEl) return null;
-            const children = Array.from(containerEl.children);
-            for (const child of children) if (child.contains(anchor)) return child;
-            return null;
-          })(protectAnchor, container) || protectAnchor;
-          try {
-            const children = Array.from((container || document.body).children);
-            const idx = children.indexOf(topChild);
-            if (idx >= 0) {
-              const next = (container || document.body).children[idx + 1] || null;
-              (container || document.body).insertBefore(created, next);
-            } else {
-              (topChild.parentElement || container || document.body).insertBefore(created, topChild.nextSibling);
-            }
-          } catch (e) {}
-        }
-      } catch (e) {}
-  // Final safety: in case the wrapper ended up attached to <body> or
-      // another container, attempt to repair/move it into the header now.
-      try {
-        console.debug('[local-unifi-drive] createIcon: running final repairExisting check');
-        repairExisting();
-      } catch (e) { console.debug('[local-unifi-drive] final repairExisting failed', e); }
-    } catch (e) {
-      // Last resort: attach to body
-      try { document.body.appendChild(wrapper); } catch (e2) {}
+  function appIdOf(anchor) {
+    const id = anchor && anchor.getAttribute('data-testid');
+    return Settings ? Settings.appIdFromTestId(id) : String(id || '').replace(/^applink-/, '');
+  }
+
+  // Apply the user's "after/before app X", "first" or "last" choice on top of
+  // the profile placement. Falls back to the profile placement when the chosen
+  // app isn't on this console.
+  function applyIconPosition(base, trace) {
+    const pos = _iconPosition;
+    if (!pos || !pos.mode) return base;
+    const note = (applied) => { if (trace) trace.push({ iconPosition: pos.mode + (pos.app ? ' ' + pos.app : ''), applied }); };
+    // Prefer the app links inside the profile's container, but a container
+    // derived from a single anchor may be too narrow to see the other apps.
+    const scoped = (base && base.container) ? appLinks(base.container) : [];
+    const all = appLinks(document);
+    const links = (scoped.length > 1 || scoped.length === all.length) ? scoped : all;
+    const within = (anchor) => (base && base.container && base.container.contains(anchor)) ? base.container : anchor.parentElement;
+    const profile = base ? base.profile : null;
+
+    if (pos.mode === 'after' || pos.mode === 'before') {
+      const anchor = links.find((a) => appIdOf(a) === pos.app) || all.find((a) => appIdOf(a) === pos.app);
+      note(!!anchor);
+      if (!anchor) return base;
+      return { profile, container: within(anchor), anchor, position: pos.mode };
+    }
+    note(!!(links.length || (base && base.container)));
+    if (links.length) {
+      const anchor = pos.mode === 'first' ? links[0] : links[links.length - 1];
+      return { profile, container: within(anchor), anchor, position: pos.mode === 'first' ? 'before' : 'after' };
     }
+    if (!base || !base.container) return base;
+    return { profile, container: base.container, anchor: null, position: pos.mode === 'first' ? 'prepend' : 'append' };
   }
 
-  function removeIcon() {
-    const el = document.getElementById(ICON_ID);
-    if (el && el.parentNode) el.parentNode.removeChild(el);
+  // Resolve where the icons go. Used by every lifecycle check.
+  function resolvePlacement(trace) {
+    return applyIconPosition(resolveProfilePlacement(trace), trace);
   }
 
-  function loadAndCreate() {
-    // Read saved link and delayed create setting. Fall back to defaults when
-    // chrome.storage isn't available (demo page).
-    const apply = (link, delayedSeconds) => {
-      // Use provided link when creating the icon; createIcon() will use the
-      // provided link when clicking.
-      try { createIcon(link || DEFAULT_LINK); } catch (e) { createIcon(DEFAULT_LINK); }
-      // Schedule delayed create according to stored preference (if > 0)
-      try {
-        if (typeof delayedSeconds === 'number' && delayedSeconds > 0) {
-          setTimeout(() => {
-            try { console.debug('[local-unifi-drive] scheduled delayed create (from storage) running'); createIcon(link || DEFAULT_LINK); }
-            catch (e) { console.debug('[local-unifi-drive] scheduled delayed create failed', e); }
-          }, delayedSeconds * 1000);
-        }
-      } catch (e) {}
+  // Summary of a resolved placement for diagnostics events.
+  function placementDetail(placement, trace) {
+    return {
+      result: describePlacement(placement),
+      container: describeEl(placement && placement.container),
+      anchor: describeEl(placement && placement.anchor),
+      tried: trace || []
     };
+  }
 
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync && typeof chrome.storage.sync.get === 'function') {
-      try {
-        chrome.storage.sync.get({ driveLink: '', delayedCreate: 5 }, (items) => {
-          try { _currentDriveLink = items.driveLink || DEFAULT_LINK; } catch (e) {}
-          apply(items.driveLink || DEFAULT_LINK, Number(items.delayedCreate || 0));
-        });
-      } catch (e) { _currentDriveLink = DEFAULT_LINK; apply(DEFAULT_LINK, 5); }
-    } else {
-      _currentDriveLink = DEFAULT_LINK;
-      apply(DEFAULT_LINK, 5);
+  function describePlacement(placement) {
+    if (!placement) return 'none';
+    return (placement.profile ? placement.profile.id : 'app-links') + ':' + placement.position;
+  }
+
+  // Remember which app links this console shows so the options page can
+  // offer them. Only writes when the set grows.
+  function recordDiscoveredApps() {
+    try {
+      const ids = appLinks(document).map(appIdOf).filter(Boolean);
+      const key = ids.slice().sort().join(',');
+      if (!ids.length || key === _lastDiscoveredApps) return;
+      _lastDiscoveredApps = key;
+      const local = storageArea('local');
+      if (!local) return;
+      local.get({ discoveredApps: [] }, (items) => {
+        const known = Array.isArray(items.discoveredApps) ? items.discoveredApps : [];
+        const merged = known.concat(ids.filter((id) => known.indexOf(id) === -1));
+        if (merged.length !== known.length) local.set({ discoveredApps: merged });
+      });
+    } catch (e) { console.debug('[local-unifi-drive] recordDiscoveredApps failed', e); }
+  }
+
+  // Helper: find the direct child of container that contains the anchor
+  function findDirectChildContaining(anchor, containerEl) {
+    if (!anchor || !containerEl) return null;
+    for (const child of Array.from(containerEl.children)) {
+      if (child.contains(anchor)) return child;
     }
+    return null;
   }
 
-  // Observe DOM changes
-  let observer = null;
-  // If a previous wrapper exists attached to the body, move it into the header
-  function repairExisting() {
+  // Insert `lead` according to a resolved placement. Prefers making it a DOM
+  // sibling of the anchor (so `anchor.nextElementSibling === lead` for
+  // 'after'); if that throws, falls back to the direct child of the container
+  // that holds the anchor. Returns { strategy, host } where host is the
+  // element whose classes the wrappers should copy.
+  function insertAtPlacement(lead, placement) {
+    if (!placement) {
+      document.body.appendChild(lead);
+      return { strategy: 'body', host: null };
+    }
+    const { container, anchor, position } = placement;
+    if (!anchor || position === 'append' || position === 'prepend') {
+      if (position === 'prepend') container.insertBefore(lead, container.firstChild);
+      else container.appendChild(lead);
+      return { strategy: position === 'prepend' ? 'prepend' : 'append', host: null };
+    }
+    const before = position === 'before';
     try {
-      console.debug('[local-unifi-drive] repairExisting running');
-      const existing = document.getElementById(ICON_ID);
-      if (!existing) return;
-      const sc = document.querySelector('div.unifi-portal-1vz64y0.evzy7n80');
-      if (!sc) return;
-      const protectAnchor = sc.querySelector('a[data-testid="applink-protect"]');
-      if (protectAnchor && protectAnchor.parentElement) {
-        console.debug('[local-unifi-drive] moving existing into protect parent');
-        // move existing into header as sibling after protect
-        try { protectAnchor.parentElement.insertBefore(existing, protectAnchor.nextSibling); }
-        catch (e) {
-          // fallback to insert after the direct child that contains protect
-          try {
-            const topChild = (function findDirectChildContaining(anchor, containerEl) {
-              if (!anchor || !containerEl) return null;
-              const children = Array.from(containerEl.children);
-              for (const child of children) if (child.contains(anchor)) return child;
-              return null;
-            })(protectAnchor, sc) || protectAnchor;
-            const children = Array.from(sc.children);
-            const idx = children.indexOf(topChild);
-            if (idx >= 0) {
-              const next = sc.children[idx + 1] || null;
-              sc.insertBefore(existing, next);
-            } else {
-              (topChild.parentElement || sc).insertBefore(existing, topChild.nextSibling);
-            }
-          } catch (e2) { sc.appendChild(existing); }
-        }
-      } else {
-        sc.appendChild(existing);
+      const parent = anchor.parentElement || container;
+      parent.insertBefore(lead, before ? anchor : anchor.nextSibling);
+      return { strategy: before ? 'before-anchor' : 'after-anchor', host: parent };
+    } catch (e) {
+      const topChild = findDirectChildContaining(anchor, container) || anchor;
+      try { topChild.insertAdjacentElement(before ? 'beforebegin' : 'afterend', lead); }
+      catch (e2) { (topChild.parentElement || container).insertBefore(lead, before ? topChild : topChild.nextSibling); }
+      return { strategy: before ? 'before-host' : 'after-host', host: topChild };
+    }
+  }
+
+  // Lifecycle scheduler. A single state machine decides when the icons are
+  // missing or misplaced:
+  // - 'waiting': no placement resolves yet (header not rendered). The whole
+  //   document is observed, but mutations only schedule a check.
+  // - 'placed': the icons sit where the placement says. Only the header
+  //   container (subtree) and its ancestors (direct children, to notice the
+  //   header being replaced) are observed; nothing else runs.
+  // - 'idle': no enabled links, or the page bridge removed the icons.
+  // Checks are batched to one per animation frame. A check that finds the
+  // icons in place does not touch the DOM; misplaced icons are moved, and
+  // wrappers are only rebuilt when their settings change.
+  let _state = 'idle';
+  let _suspended = false;
+  let _needsRebuild = true;
+  let _linkOverride;
+  let _wrappers = new Map();
+  let _placedAt = null;
+  let _checkPending = false;
+  let _observer = null;
+  let _observedRoot = null;
+
+  function setState(next, reason) {
+    if (next === _state) return;
+    diag('state', { from: _state, to: next, reason });
+    _state = next;
+  }
+
+  // rAF is paused in hidden tabs; a slow timer lets them catch up anyway.
+  function scheduleCheck(reason) {
+    if (_checkPending) return;
+    _checkPending = true;
+    const run = () => {
+      _checkPending = false;
+      runCheck(reason);
+    };
+    if (typeof requestAnimationFrame === 'function' && !document.hidden) requestAnimationFrame(run);
+    else setTimeout(run, 250);
+  }
+
+  // Wrappers, menus and overlays, ours or another instance's.
+  function isExtensionNode(node) {
+    return !!(node && node.nodeType === 1 && node.closest && node.closest(EXTENSION_NODES));
+  }
+
+  // Created by another instance (see "Instances").
+  function isForeignNode(node) {
+    return isExtensionNode(node) && node.getAttribute(INSTANCE_ATTR) !== INSTANCE_ID;
+  }
+
+  // Ignore changes inside extension nodes and their insertions; the page
+  // removing a wrapper still counts, another instance moving its own
+  // doesn't. Our own moves never get here (see runCheck), or two instances
+  // would keep answering each other's moves. A re-inserted legacy icon is
+  // hidden (see `hideLegacyIcon`).
+  function onMutations(records) {
+    hideLegacyIcon();
+    const relevant = records.some((r) => {
+      if (isExtensionNode(r.target)) return false;
+      if (!Array.from(r.removedNodes).every(isForeignNode)) return true;
+      return !Array.from(r.addedNodes).every(isExtensionNode);
+    });
+    if (relevant) scheduleCheck('mutation');
+  }
+
+  // Observe `container` (subtree) and its ancestors (direct children only),
+  // or the whole document while no container is known.
+  function observe(container) {
+    const root = container || document.documentElement;
+    if (_observer && _observedRoot === root) return;
+    stopObserving();
+    _observedRoot = root;
+    _observer = new MutationObserver(onMutations);
+    try {
+      _observer.observe(root, { childList: true, subtree: true });
+      if (container) {
+        for (let el = container.parentElement; el; el = el.parentElement) _observer.observe(el, { childList: true });
       }
+    } catch (e) { console.debug('[local-unifi-drive] observe failed', e); }
+    diag('observer', { scope: container ? 'header' : 'document', container: describeEl(root) });
+  }
 
-      // Copy certain classes from the host element so styling matches
-      try {
-        const host = (protectAnchor && protectAnchor.parentElement) || null;
-        if (host && existing) {
-          try { for (const c of Array.from(host.classList || [])) if (c) existing.classList.add(c); } catch (e) {}
-          // Optionally copy inline styles that matter (color, background)
-          try {
-            const cs = window.getComputedStyle(host);
-            if (cs) {
-              existing.style.color = cs.color || '';
-              existing.style.background = cs.background || cs.backgroundColor || '';
-              console.debug('[local-unifi-drive] copied styles from host to existing');
-            }
-          } catch (e) {}
-        }
-      } catch (e) {}
+  function stopObserving() {
+    if (_observer) _observer.disconnect();
+    _observer = null;
+    _observedRoot = null;
+  }
 
-      // Apply inline important styles to ensure not rendered as a black box
-      try {
-        const applyImportant = (el, map) => {
-          if (!el || !map) return;
-          for (const k of Object.keys(map)) {
-            try { el.style.setProperty(k, map[k], 'important'); } catch (e) {}
-          }
-        };
-        const wrapperStyles = {
-          'background': 'transparent',
-          'background-image': 'none',
-          'box-shadow': 'none',
-          'filter': 'none',
-          'padding': '0',
-          'margin': '0',
-          'display': 'inline-flex',
-          'align-items': 'center',
-          'justify-content': 'center',
-          'z-index': '9999'
-        };
-        const childStyles = {
-          'background': 'transparent',
-          'background-image': 'none',
-          'box-shadow': 'none',
-          'filter': 'none',
-          'width': '28px',
-          'height': '28px',
-          'display': 'inline-block'
-        };
-        applyImportant(existing, wrapperStyles);
-        const child = existing.querySelector('img, svg');
-        if (child && child.style) applyImportant(child, childStyles);
-        // If the child is an <img> that used an older rect-based inline SVG,
-        // replace its src with the transparent inline SVG data URL so the
-        // black box disappears. Also ensure svg children don't contain a rect.
-        try {
-          if (child && child.tagName && child.tagName.toLowerCase() === 'img') {
-            const src = (child.getAttribute && child.getAttribute('src')) || '';
-            if (src && src.indexOf('%3Crect') !== -1) {
-              const data = createInlineSvgDataUrl();
-              if (data) {
-                child.setAttribute('src', data);
-                child.dataset._svgFallbackApplied = '1';
-                child.classList.add('local-unifi-drive-svg-fallback');
-              }
-            }
-          } else if (child && child.namespaceURI === 'http://www.w3.org/2000/svg') {
-            // remove any rect element inside the inline svg
-            try { const rect = child.querySelector('rect'); if (rect && rect.parentNode) rect.parentNode.removeChild(rect); } catch (e) {}
-          }
-        } catch (e) {}
-      } catch (e) {}
-    } catch (e) {}
+  // Wrappers for `entries`, in order. Existing ones (even if the page
+  // detached them) are reused unless a rebuild is due; owned wrappers for
+  // links that are no longer shown are dropped.
+  function collectWrappers(entries) {
+    if (_needsRebuild) {
+      removeIcon();
+      _wrappers = new Map();
+      _placedAt = null;
+      _needsRebuild = false;
+    }
+    const keep = entries.map(iconIdFor);
+    for (const el of ownedIcons()) {
+      if (keep.indexOf(el.id) === -1 && el.parentNode) el.parentNode.removeChild(el);
+    }
+    return entries.map((entry, i) => {
+      const id = iconIdFor(entry);
+      let w = _wrappers.get(id);
+      if (!w) {
+        w = buildWrapper(entry, i);
+        diag('build', { link: entry.id });
+      }
+      _wrappers.set(id, w);
+      return w;
+    });
   }
-  function ensureObserver(container) {
-    if (observer) {
-      observer.disconnect();
-      observer = null;
+
+  // True when `wrappers` are attached, consecutive and still where the last
+  // insert put them relative to the current placement.
+  function isPlaced(placement, wrappers) {
+    const at = _placedAt;
+    if (!at || at.container !== placement.container || at.anchor !== placement.anchor || at.position !== placement.position) return false;
+    for (let i = 0; i < wrappers.length; i++) {
+      if (!wrappers[i].isConnected || !at.container.contains(wrappers[i])) return false;
+      if (i > 0 && wrappers[i - 1].nextElementSibling !== wrappers[i]) return false;
     }
+    const lead = wrappers[0];
+    const last = wrappers[wrappers.length - 1];
+    switch (at.strategy) {
+      case 'after-anchor': return at.anchor.nextElementSibling === lead;
+      case 'before-anchor': return last.nextElementSibling === at.anchor;
+      case 'after-host': return at.host.nextElementSibling === lead;
+      case 'before-host': return last.nextElementSibling === at.host;
+      case 'prepend': return at.container.firstElementChild === lead;
+      default: return lead.parentElement === at.container;
+    }
+  }
 
-    observer = new MutationObserver(() => {
-      const icon = document.getElementById(ICON_ID);
-      if (!icon || !document.body.contains(icon)) {
-        const last = createIcon._last || 0;
-        if (Date.now() - last < 1000) return;
-        loadAndCreate();
+  function runCheck(reason) {
+    if (_tornDown) return;
+    if (contextInvalidated()) return teardown('extension context invalidated');
+    try {
+      const entries = currentEntries(_linkOverride);
+      const hidden = _hiddenOrigins.indexOf(location.origin) !== -1;
+      if (_suspended || hidden || !entries.length) {
+        removeIcon();
+        _placedAt = null;
+        stopObserving();
+        setState('idle', _suspended ? 'removed' : hidden ? 'hidden on this console' : 'no enabled links');
+        return;
       }
-    });
+      const trace = [];
+      const placement = resolvePlacement(trace);
+      if (!placement) {
+        observe(null);
+        setState('waiting', reason);
+        return;
+      }
+      const wrappers = collectWrappers(entries);
+      if (isPlaced(placement, wrappers)) {
+        observe(placement.container);
+        setState('placed', reason);
+        return;
+      }
+      diag('placement', placementDetail(placement, trace));
+      recordDiscoveredApps();
+      const result = insertAtPlacement(wrappers[0], placement);
+      attachFollowers(wrappers);
+      _placedAt = { container: placement.container, anchor: placement.anchor, position: placement.position, strategy: result.strategy, host: result.host };
+      console.debug('[local-unifi-drive] placed icons:', describePlacement(placement), result.strategy);
+      diag('insert', { reason, strategy: result.strategy, host: describeEl(result.host) });
+      restyleWrappers(wrappers, result.host);
+      applyTheme();
+      // Drop the records of our own insert.
+      if (_observer) _observer.takeRecords();
+      observe(placement.container);
+      setState('placed', reason);
+    } catch (e) {
+      console.debug('[local-unifi-drive] check failed', e);
+      diag('check-failed', { reason, error: String((e && e.message) || e) });
+    }
+  }
 
+  // Copy the host's classes so the wrappers inherit header styling, and
+  // re-apply the inline overrides that keep site CSS from drawing a box.
+  function restyleWrappers(wrappers, host) {
+    for (const el of wrappers) {
+      try { for (const c of Array.from((host && host.classList) || [])) if (c) el.classList.add(c); } catch (e) {}
+      applyImportant(el, WRAPPER_STYLES);
+      const child = el.querySelector('img, svg');
+      if (child && child.style) applyImportant(child, CHILD_STYLES);
+    }
+  }
+
+  // Page bridge `create`: rebuild now, optionally with a link override.
+  function createIcon(link) {
+    _suspended = false;
+    _linkOverride = link;
+    _needsRebuild = true;
+    runCheck('create');
+  }
+
+  function removeIcon() {
+    closeMenu(false);
+    hideTooltip();
+    for (const el of ownedIcons()) {
+      if (el.parentNode) el.parentNode.removeChild(el);
+    }
+  }
+
+  // Page bridge `remove`: keep the icons away until create or repair.
+  function suspendIcons() {
+    _suspended = true;
+    runCheck('remove');
+  }
+
+  // Page bridge `repair`: resume and put the icons back in place.
+  function repairExisting() {
+    _suspended = false;
+    runCheck('repair');
+  }
+
+  // Update the in-memory links and placement profiles from raw storage items.
+  function applyStoredSettings(items) {
     try {
-      observer.observe(container || document.documentElement, { 
-        childList: true, 
-        subtree: true 
-      });
+      if (Settings) _placementProfiles = Settings.placementProfiles(items);
+      _placementProfileId = (items && items.placementProfileId) || '';
+      _iconPosition = Settings ? Settings.normalizeIconPosition(items && items.iconPosition) : _iconPosition;
+      _themeMode = (items && items.themeMode) || 'auto';
+      _allowPageLinkOverride = !!(items && items.allowPageLinkOverride);
+      _diagnosticsMode = !!(items && items.diagnosticsMode);
+      _hiddenOrigins = Settings ? Settings.normalizeOrigins(items && items.hiddenOrigins) : [];
+      _openMode = Settings ? Settings.normalizeOpenMode(items && items.openMode) : 'newTab';
+      _storageEnabled = Settings ? !!Settings.normalizeStorageStatus(items && items.storageStatus).url : false;
+    } catch (e) {}
+    try {
+      _currentLinks = Settings ? Settings.normalizeLinks(items) : _currentLinks;
     } catch (e) {}
   }
 
-  // Watch specifically for the Protect anchor to appear and create the icon
-  // immediately when it does. This helps pages that render the header late
-  // (SPA re-renders) so users don't have to run the page bridge manually.
-  function ensurePersistentProtectWatcher() {
+  // Uploaded Drive icons live in storage.local (too big for sync).
+  function loadCustomIcons() {
+    const local = storageArea('local');
+    if (!local) return;
     try {
-      const selector = 'a[data-testid="applink-protect"]';
-      // Avoid installing multiple watchers
-      if (window.__localUnifiDriveProtectWatcher) return;
+      local.get({ customIcons: {} }, (items) => {
+        const c = items.customIcons || {};
+        _customIcons = { dark: c.dark || '', light: c.light || '' };
+        applyTheme();
+      });
+    } catch (e) { console.debug('[local-unifi-drive] loadCustomIcons failed', e); }
+  }
 
-      const checkAndCreate = () => {
-        try {
-          const protect = document.querySelector(selector);
-          const existing = document.getElementById(ICON_ID);
-          if (protect && !existing) {
-            console.debug('[local-unifi-drive] persistent watcher: protect found, creating icon');
-            createIcon();
-            return true;
-          }
-          return false;
-        } catch (e) { return false; }
-      };
-
-      // Run immediate check
-      checkAndCreate();
-
-      // Polling interval (stops itself once icon exists)
-      const iv = setInterval(() => {
-        const done = checkAndCreate();
-        if (done) {
-          try { clearInterval(iv); } catch (e) {}
-        }
-      }, 500);
-
-      // Listen for SPA navigation changes and re-run check immediately
-      const onLocationChange = () => { setTimeout(checkAndCreate, 50); };
-      const originalPush = history.pushState;
-      const originalReplace = history.replaceState;
-      history.pushState = function() {
-        const rv = originalPush.apply(this, arguments);
-        try { window.dispatchEvent(new Event('local-unifi-drive-locationchange')); } catch (e) {}
-        return rv;
-      };
-      history.replaceState = function() {
-        const rv = originalReplace.apply(this, arguments);
-        try { window.dispatchEvent(new Event('local-unifi-drive-locationchange')); } catch (e) {}
-        return rv;
-      };
-      window.addEventListener('popstate', onLocationChange);
-      window.addEventListener('local-unifi-drive-locationchange', onLocationChange);
-
-      window.__localUnifiDriveProtectWatcher = {
-        interval: iv,
-        stop: () => {
-          try { clearInterval(iv); } catch (e) {}
-          try { window.removeEventListener('popstate', onLocationChange); } catch (e) {}
-          try { window.removeEventListener('local-unifi-drive-locationchange', onLocationChange); } catch (e) {}
-        }
-      };
-      console.debug('[local-unifi-drive] persistent protect watcher installed');
-    } catch (e) { console.debug('[local-unifi-drive] ensurePersistentProtectWatcher failed', e); }
+  function loadSettings() {
+    // Read saved links and the delayed check setting. Fall back to defaults
+    // when the platform layer isn't loaded (older registrations).
+    const apply = (delayedSeconds) => {
+      // Settings may have changed what the wrappers show.
+      _needsRebuild = true;
+      scheduleCheck('settings');
+      // One extra check for consoles that finish rendering late.
+      clearTimeout(loadSettings._timer);
+      if (typeof delayedSeconds === 'number' && delayedSeconds > 0) {
+        loadSettings._timer = setTimeout(() => scheduleCheck('delayed'), delayedSeconds * 1000);
+      }
+    };
+
+    const defaults = Settings ? Settings.DEFAULTS : { driveLink: '', delayedCreate: 5, links: null };
+    const sync = storageArea('sync');
+    if (sync) {
+      try {
+        // Policy values win over synced ones; then this console's profile
+        // is resolved, all before anything is created.
+        const read = Settings
+          ? (cb) => Settings.readStoredSettings(Platform.storage, cb)
+          : (cb) => sync.get(defaults, (synced) => cb({ settings: synced, locked: [] }));
+        read((stored) => {
+          if (_tornDown) return;
+          _lockedKeys = stored.locked;
+          const resolved = Settings ? Settings.applyConsoleProfile(stored.settings, location.origin) : { settings: stored.settings, profile: null };
+          const items = resolved.settings;
+          _consoleProfile = resolved.profile;
+          diag('console-profile', { id: _consoleProfile ? _consoleProfile.id : null });
+          applyStoredSettings(items);
+          apply(Number(items.delayedCreate || 0));
+          loadHealth(items.healthCheckInterval);
+          loadStorage(items.healthCheckInterval);
+          loadCustomIcons();
+          applyDiagnostics();
+          restoreDrawer();
+        });
+      } catch (e) { applyStoredSettings({}); apply(5); }
+    } else {
+      applyStoredSettings({});
+      apply(5);
+    }
   }
 
-  // Start after DOMContentLoaded or immediately
-  function start() {
-    // If a previous wrapper was attached to the body (leftover from earlier runs),
-    // try to repair it first so it becomes a sibling of Protect in the header.
-    try { repairExisting(); } catch (e) {}
-  loadAndCreate();
-  // Ensure we also watch for Protect anchor and auto-create when it appears.
-  try { ensurePersistentProtectWatcher(); } catch (e) {}
-    const container = document.querySelector('div.unifi-portal-1vz64y0.evzy7n80');
-    ensureObserver(container || document.documentElement);
-
-    // One-time delayed create: some pages render slowly or perform background
-    // work after load. Ensure we attempt a forced create after 5 seconds so
-    // users don't have to manually trigger it.
+  // Instances. Every DOM listener, observer and timer that outlives a call
+  // is registered through `listen` / `_cleanups`, and every node carries
+  // INSTANCE_ID, so `teardown` leaves the page as it found it. Extension
+  // listeners (storage, runtime messages) can't be removed through the
+  // platform layer; they check `_tornDown` instead.
+  //
+  // When the extension is reloaded or updated, the worker injects the new
+  // version into open console tabs (background/background.js). The new
+  // instance announces itself with a `local-unifi-drive-takeover` event on
+  // document (detail: its id); an old instance whose extension context is
+  // gone tears down on it. Nodes still left afterwards come from versions
+  // that predate this handshake and are removed once, not adopted. An old
+  // instance that misses the event stops on its next check.
+  //
+  // The first releases never stop: they keep re-creating their single
+  // #local-unifi-drive-icon (ICON_ID) from their own observer and a polling
+  // watcher. Their watcher and history patch are undone here; the observer
+  // can't be reached and re-creates the icon whenever it is missing, so the
+  // icon is hidden and left in place rather than removed (see
+  // `hideLegacyIcon`).
+  const TAKEOVER_EVENT = 'local-unifi-drive-takeover';
+  const LEGACY_ATTR = 'data-local-unifi-drive-legacy';
+  const _cleanups = [];
+  let _tornDown = false;
+
+  function listen(target, type, fn, options) {
+    target.addEventListener(type, fn, options);
+    _cleanups.push(() => target.removeEventListener(type, fn, options));
+  }
+
+  // The extension was reloaded, updated or removed under this page: its
+  // APIs are gone for good (runtime.id reads empty from then on).
+  function contextInvalidated() {
+    return !!Platform && (Platform.kind === 'chrome' || Platform.kind === 'browser') && !runtimeHasId();
+  }
+
+  function teardown(reason) {
+    if (_tornDown) return;
+    _tornDown = true;
+    diag('teardown', { reason, instance: INSTANCE_ID });
+    console.debug('[local-unifi-drive] instance', INSTANCE_ID, 'stopped:', reason);
+    stopObserving();
+    clearTimeout(loadSettings._timer);
+    for (const undo of _cleanups.splice(0)) {
+      try { undo(); } catch (e) { console.debug('[local-unifi-drive] cleanup failed', e); }
+    }
+    removeIcon();
+    _wrappers = new Map();
+    _placedAt = null;
+    // Not by the user: a restored drawer state stays open for the successor.
+    if (Drawer) Drawer.close(false);
+    if (Diagnostics) Diagnostics.hideOverlay();
+    setState('idle', 'torn down');
+  }
+
+  // Our wrappers are ICON_ID plus the link id; the bare id is a legacy icon.
+  function isLegacyIcon(el) {
+    return el.id === ICON_ID && !el.getAttribute(INSTANCE_ATTR);
+  }
+
+  function hideLegacyIcon() {
+    const el = document.getElementById(ICON_ID);
+    if (!el || !isLegacyIcon(el) || el.hasAttribute(LEGACY_ATTR)) return;
+    el.setAttribute(LEGACY_ATTR, '1');
+    el.setAttribute('aria-hidden', 'true');
+    el.setAttribute('tabindex', '-1');
+    el.style.setProperty('display', 'none', 'important');
+    diag('legacy-icon-hidden', {});
+  }
+
+  // Stops the polling watcher of the first releases and drops their
+  // pushState/replaceState wrappers (own properties over History.prototype).
+  function stopLegacyWatcher() {
+    const watcher = window.__localUnifiDriveProtectWatcher;
+    if (!watcher) return;
+    try { watcher.stop(); } catch (e) { console.debug('[local-unifi-drive] legacy watcher stop failed', e); }
+    try { clearInterval(watcher.interval); } catch (e) {}
+    try { delete window.__localUnifiDriveProtectWatcher; } catch (e) {}
     try {
-      if (!start._delayedCreateScheduled) {
-        start._delayedCreateScheduled = true;
-        setTimeout(() => {
-          try {
-            console.debug('[local-unifi-drive] delayed create (5s) running');
-            createIcon();
-          } catch (e) { console.debug('[local-unifi-drive] delayed create failed', e); }
-        }, 5000);
-      }
+      delete history.pushState;
+      delete history.replaceState;
     } catch (e) {}
+    diag('legacy-watcher-stopped', {});
   }
 
+  // A live instance ignores the event, so page scripts can't switch the
+  // icons off with it.
+  function takeOver() {
+    stopLegacyWatcher();
+    listen(document, TAKEOVER_EVENT, (ev) => {
+      if (ev.detail !== INSTANCE_ID && contextInvalidated()) teardown('replaced by ' + ev.detail);
+    });
+    try { document.dispatchEvent(new CustomEvent(TAKEOVER_EVENT, { detail: INSTANCE_ID })); } catch (e) {}
+    hideLegacyIcon();
+    let strays = 0;
+    for (const el of Array.from(document.querySelectorAll(EXTENSION_NODES))) {
+      if (el.getAttribute(INSTANCE_ATTR) === INSTANCE_ID || isLegacyIcon(el) || !el.parentNode) continue;
+      el.parentNode.removeChild(el);
+      strays++;
+    }
+    if (strays) diag('strays-removed', { count: strays });
+  }
+
+  // Start after DOMContentLoaded or immediately. The first check runs once
+  // the settings are loaded, so the default link never flashes up.
+  function start() {
+    if (_tornDown) return;
+    loadSettings();
+    try { ensureThemeWatcher(); } catch (e) {}
+    // SPA navigation normally shows up as header mutations; back/forward
+    // gets an explicit check.
+    listen(window, 'popstate', () => scheduleCheck('navigation'));
+  }
+
+  takeOver();
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', start);
+    listen(document, 'DOMContentLoaded', start);
   } else {
     start();
   }
 
-  // Listen for storage changes (guarded for non-extension demo environments)
+  // Listen for storage changes (on the demo page these come from localStorage)
   try {
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged && typeof chrome.storage.onChanged.addListener === 'function') {
-      chrome.storage.onChanged.addListener((changes, area) => {
-        if (area === 'sync' && changes.driveLink) {
-          loadAndCreate();
+    if (Platform) {
+      Platform.storage.onChanged.addListener((changes, area) => {
+        if (_tornDown) return;
+        if (area === 'managed') return loadSettings();
+        if (area === 'sync') for (const key of _lockedKeys) delete changes[key];
+        if (area === 'sync' && (changes.driveLink || changes.links || changes.placementProfiles || changes.placementProfileId || changes.iconPosition || changes.hiddenOrigins || changes.consoleProfiles)) {
+          loadSettings();
+        }
+        if (area === 'sync' && changes.allowPageLinkOverride) {
+          _allowPageLinkOverride = !!changes.allowPageLinkOverride.newValue;
+        }
+        if (area === 'sync' && changes.diagnosticsMode) {
+          _diagnosticsMode = !!changes.diagnosticsMode.newValue;
+          applyDiagnostics();
+        }
+        if (area === 'sync' && changes.openMode && Settings) {
+          _openMode = Settings.normalizeOpenMode(changes.openMode.newValue);
+          if (_openMode !== 'drawer' && Drawer) Drawer.close(false);
+        }
+        if (area === 'sync' && changes.themeMode) {
+          _themeMode = changes.themeMode.newValue || 'auto';
+          applyTheme();
+        }
+        if (area === 'local' && changes.customIcons) {
+          const c = changes.customIcons.newValue || {};
+          _customIcons = { dark: c.dark || '', light: c.light || '' };
+          applyTheme();
+        }
+        if (area === 'sync' && changes.storageStatus && Settings) {
+          _storageEnabled = !!Settings.normalizeStorageStatus(changes.storageStatus.newValue).url;
+        }
+        // Health and storage results pushed by the background worker
+        if (area === 'local' && changes.linkHealth) {
+          _linkHealth = changes.linkHealth.newValue || {};
+          applyHealth();
+        }
+        if (area === 'local' && changes.driveStorage) {
+          _driveStorage = changes.driveStorage.newValue || null;
+          applyStorage();
         }
       });
     }
   } catch (e) {}
 
-  // Expose a small testing/debugging hook on window for manual validation
-  // Only expose when running locally (file:// or localhost) to avoid exposing
-  // dev utilities in production environments.
-  // Always expose the debug API so users can test directly in-page when the
-  // extension is loaded. This helps debug placement issues on production pages.
-  try {
-    // Content scripts live in an isolated world. To allow page console calls
-    // like `window.__localUnifiDrive.create(...)` we inject a small bridge into
-    // the page which posts messages that this content script listens for.
-    // Install two safe bridges for page -> content-script communication:
-    // 1) CustomEvent bridge: the page can dispatch a CustomEvent named
-    //    'local-unifi-drive' with detail { action: 'create'|'remove'|'repair', link }
-    //    This avoids injecting inline scripts and works with strict CSP.
-    try {
-      document.addEventListener('local-unifi-drive', (ev) => {
-        try {
-          const d = (ev && ev.detail) || {};
-          if (!d || !d.action) return;
-          switch (d.action) {
-            case 'create': createIcon(d.link); break;
-            case 'remove': removeIcon(); break;
-            case 'repair': repairExisting(); break;
-            default: break;
-          }
-          document.dispatchEvent(new CustomEvent('local-unifi-drive-response', { detail: { status: 'ok', action: d.action } }));
-        } catch (e) {
-          document.dispatchEvent(new CustomEvent('local-unifi-drive-response', { detail: { status: 'error', action: (ev && ev.detail && ev.detail.action) || '', message: String(e) } }));
+  // The element a bug report should show: the resolved container, else the
+  // closest element holding every app link, else a <header>.
+  function headerElement() {
+    const placement = resolvePlacement();
+    if (placement && placement.container) return placement.container;
+    const links = appLinks(document);
+    let anc = links[0] ? links[0].parentElement : null;
+    while (anc && !links.every((a) => anc.contains(a))) anc = anc.parentElement;
+    return anc || document.querySelector('header');
+  }
+
+  function diagnosticsReport() {
+    let extensionVersion = '';
+    try { if (runtimeHasId()) extensionVersion = Platform.runtime.getManifest().version; } catch (e) {}
+    return Diagnostics.buildReport({
+      extensionVersion,
+      settings: bridgeConfig(),
+      diagnose: bridgeDiagnose(),
+      header: headerElement()
+    });
+  }
+
+  function applyDiagnostics() {
+    if (!Diagnostics || !document.body) return;
+    if (!_diagnosticsMode) return Diagnostics.hideOverlay();
+    Diagnostics.showOverlay({
+      instance: INSTANCE_ID,
+      onExport: () => Diagnostics.downloadReport(diagnosticsReport()),
+      onClose: () => {
+        // Closing only hides it in this tab; the option stays on.
+        _diagnosticsMode = false;
+        applyDiagnostics();
+      }
+    });
+  }
+
+  // Page bridge. Content scripts live in an isolated world, so page scripts
+  // (or the DevTools console) talk to this script through DOM messages:
+  //
+  //   request:  { protocol: 'local-unifi-drive', version: 1, id, action, params }
+  //   response: { protocol: 'local-unifi-drive', version: 1, type: 'response',
+  //               id, action, ok: true, result } or { ..., ok: false, error: { code, message } }
+  //
+  // Requests arrive either as a `local-unifi-drive` CustomEvent on document
+  // (answered with a `local-unifi-drive-response` event) or via postMessage
+  // from this same window and origin (answered with postMessage to this
+  // origin only). Messages from iframes or other origins are ignored. `id` is
+  // echoed back so callers can match responses.
+  //
+  // Actions: create, remove, repair, status, getConfig, diagnose, plus
+  // diagnostics (show/hide the overlay in this tab: `params.enabled`) and
+  // report (the JSON diagnostics report). `create` accepts `params.link` only
+  // when "Allow pages to override the link" is enabled in the options page.
+  const BRIDGE_PROTOCOL = 'local-unifi-drive';
+  const BRIDGE_VERSION = 1;
+
+  function bridgeError(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+  }
+
+  function bridgeStatus() {
+    const placement = resolvePlacement();
+    return {
+      icons: ownedIcons().map((el) => ({
+        link: el.getAttribute('data-local-unifi-drive-link'),
+        attached: document.body.contains(el),
+        health: el.getAttribute('data-local-unifi-drive-health') || 'unknown'
+      })),
+      state: _state,
+      origin: location.origin,
+      hidden: _hiddenOrigins.indexOf(location.origin) !== -1,
+      complete: hasAllIcons(),
+      placement: describePlacement(placement),
+      profile: placement && placement.profile ? placement.profile.id : null,
+      consoleProfile: _consoleProfile ? _consoleProfile.name : null,
+      instance: INSTANCE_ID,
+      storage: _driveStorage && _driveStorage.state === 'ok' ? { percent: _driveStorage.percent, level: _driveStorage.level } : null,
+      theme: _theme
+    };
+  }
+
+  // Settings as the page may see them: no URLs, only what shapes the header.
+  function bridgeConfig() {
+    return {
+      consoleProfile: _consoleProfile ? _consoleProfile.id : null,
+      links: _currentLinks.map((l) => ({ id: l.id, label: l.label, icon: l.icon, enabled: l.enabled, shares: (l.shares || []).length })),
+      placementProfiles: _placementProfiles.map((p) => p.id),
+      placementProfileId: _placementProfileId,
+      iconPosition: _iconPosition,
+      themeMode: _themeMode,
+      allowPageLinkOverride: _allowPageLinkOverride,
+      diagnosticsMode: _diagnosticsMode
+    };
+  }
+
+  // Which profile selectors match right now, for "the icon is missing" reports.
+  function bridgeDiagnose() {
+    const count = (sel) => safeQueryAll(document, sel).length;
+    return {
+      url: location.pathname,
+      readyState: document.readyState,
+      profiles: activePlacementProfiles().map((p) => ({
+        id: p.id,
+        containers: p.containerSelectors.map((sel) => ({ selector: sel, matches: count(sel) })),
+        anchors: p.anchorSelectors.map((sel) => ({ selector: sel, matches: count(sel) }))
+      })),
+      appLinks: appLinks(document).map(appIdOf),
+      status: bridgeStatus()
+    };
+  }
+
+  function runBridgeAction(action, params) {
+    switch (action) {
+      case 'create': {
+        let link;
+        if (params.link !== undefined) {
+          if (!_allowPageLinkOverride) throw bridgeError('link_override_disabled', 'Link overrides from the page are disabled in the extension options.');
+          if (!/^https?:\/\//i.test(String(params.link))) throw bridgeError('invalid_params', 'params.link must be an http(s) URL.');
+          link = String(params.link);
+        }
+        createIcon(link);
+        return bridgeStatus();
+      }
+      case 'remove': suspendIcons(); return bridgeStatus();
+      case 'repair': repairExisting(); return bridgeStatus();
+      case 'status': return bridgeStatus();
+      case 'getConfig': return bridgeConfig();
+      case 'diagnose': return bridgeDiagnose();
+      case 'diagnostics':
+        if (!Diagnostics) throw bridgeError('unavailable', 'Diagnostics are not loaded on this page.');
+        if (params.enabled !== undefined) {
+          _diagnosticsMode = !!params.enabled;
+          applyDiagnostics();
         }
-      }, false);
-      console.debug('[local-unifi-drive] installed document CustomEvent bridge (dispatch event "local-unifi-drive")');
-    } catch (e) { console.debug('[local-unifi-drive] install custom event bridge failed', e); }
+        return { enabled: _diagnosticsMode, events: Diagnostics.entries().length };
+      case 'report':
+        if (!Diagnostics) throw bridgeError('unavailable', 'Diagnostics are not loaded on this page.');
+        return diagnosticsReport();
+      default: throw bridgeError('unknown_action', 'Unknown action: ' + String(action));
+    }
+  }
 
-    // 2) postMessage bridge: the page can send window.postMessage({__localUnifiDriveAction:'create', link}, '*')
+  // Validate a request and run it. Returns the response, or null when the
+  // message isn't addressed to this bridge (including our own responses).
+  function handleBridgeRequest(d) {
+    if (!d || typeof d !== 'object' || d.protocol !== BRIDGE_PROTOCOL || d.type === 'response') return null;
+    const response = { protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type: 'response', id: d.id === undefined ? null : d.id, action: String(d.action || '') };
     try {
-      window.addEventListener('message', (ev) => {
-        if (!ev || !ev.data) return;
-        const d = ev.data;
-        if (d && d.__localUnifiDriveAction) {
-          try {
-            switch (d.__localUnifiDriveAction) {
-              case 'create': createIcon(d.link); break;
-              case 'remove': removeIcon(); break;
-              case 'repair': repairExisting(); break;
-              default: break;
-            }
-            // Acknowledge back to the page
-            window.postMessage({ __localUnifiDriveResponse: 'ok', action: d.__localUnifiDriveAction }, '*');
-          } catch (e) { window.postMessage({ __localUnifiDriveResponse: 'error', action: d.__localUnifiDriveAction, message: String(e) }, '*'); }
-        }
-      }, false);
-      console.debug('[local-unifi-drive] listening for page bridge messages (postMessage)');
-    } catch (e) { console.debug('[local-unifi-drive] message listener install failed', e); }
-  } catch (e) {}
-})();
\ No newline at end of file
+      if (d.version !== BRIDGE_VERSION) throw bridgeError('unsupported_version', 'Unsupported protocol version ' + d.version + '; expected ' + BRIDGE_VERSION + '.');
+      const params = (d.params && typeof d.params === 'object') ? d.params : {};
+      const result = runBridgeAction(d.action, params);
+      response.ok = true;
+      response.result = result;
+    } catch (e) {
+      response.ok = false;
+      response.error = { code: e.code || 'internal_error', message: String((e && e.message) || e) };
+      console.debug('[local-unifi-drive] bridge request failed', d.action, e);
+    }
+    // Results cross into the page world, so hand over plain data only.
+    return JSON.parse(JSON.stringify(response));
+  }
+
+  try {
+    listen(document, 'local-unifi-drive', (ev) => {
+      const response = handleBridgeRequest(ev && ev.detail);
+      if (response) document.dispatchEvent(new CustomEvent('local-unifi-drive-response', { detail: response }));
+    });
+    console.debug('[local-unifi-drive] installed document CustomEvent bridge (dispatch event "local-unifi-drive")');
+  } catch (e) { console.debug('[local-unifi-drive] install custom event bridge failed', e); }
+
+  try {
+    listen(window, 'message', (ev) => {
+      // Only this window's own scripts: no iframes, no other origins.
+      if (!ev || ev.source !== window || ev.origin !== location.origin) return;
+      const response = handleBridgeRequest(ev.data);
+      // '/' targets this document's origin (and also works for file:// pages).
+      if (response) window.postMessage(response, '/');
+    });
+    console.debug('[local-unifi-drive] listening for page bridge messages (postMessage)');
+  } catch (e) { console.debug('[local-unifi-drive] message listener install failed', e); }
+
+  // The toolbar popup sends the same requests through extension messaging.
+  try {
+    if (runtimeHasId()) {
+      Platform.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+        if (_tornDown || !sender || sender.id !== Platform.runtime.id) return false;
+        const response = handleBridgeRequest(msg);
+        if (response) sendResponse(response);
+        return false;
+      });
+    }
+  } catch (e) { console.debug('[local-unifi-drive] runtime message listener install failed', e); }
+})();
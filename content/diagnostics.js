@@ -0,0 +1,219 @@
+(function (root) {
+  /*
+    Local Unifi Drive diagnostics
+
+    Loaded before content.js. Keeps a ring buffer of placement decisions
+    (profiles tried, insertion strategy, repairs, observer re-creates) so a
+    misplaced icon can be explained after the fact, renders it in an overlay
+    when diagnostics mode is on, and builds the JSON report users attach to
+    bug reports.
+
+    Privacy:
+    - The header snapshot keeps only structure: tag names plus id, class,
+      role, data-testid and our own data attributes. Text, links, image
+      sources and every other attribute are dropped.
+    - Reports record the page path, never the console's host or query string.
+  */
+  const I18n = root.LocalUnifiDriveI18n;
+  const LIMIT = 200;
+  const OVERLAY_ROWS = 60;
+  const SNAPSHOT_MAX_ELEMENTS = 400;
+  const SNAPSHOT_ATTRIBUTES = ['id', 'class', 'role', 'data-testid'];
+  const REPORT_SCHEMA = 'local-unifi-drive-diagnostics';
+  const REPORT_VERSION = 1;
+
+  const events = [];
+  let overlay = null;
+  let overlayHandlers = null;
+  let renderTimer = null;
+
+  // Short CSS-like description: tag#id.class[data-testid="..."].
+  function describeElement(el) {
+    if (!el || !el.tagName) return null;
+    let out = el.tagName.toLowerCase();
+    if (el.id) out += '#' + el.id;
+    const cls = (typeof el.className === 'string' ? el.className : '').trim();
+    if (cls) out += '.' + cls.split(/\s+/).join('.');
+    const testId = el.getAttribute && el.getAttribute('data-testid');
+    if (testId) out += '[data-testid="' + testId + '"]';
+    return out;
+  }
+
+  function record(event, detail) {
+    events.push({ t: Date.now(), event: String(event), detail: detail === undefined ? null : detail });
+    if (events.length > LIMIT) events.splice(0, events.length - LIMIT);
+    if (overlay) scheduleRender();
+  }
+
+  function entries() {
+    return events.slice();
+  }
+
+  function clear() {
+    events.length = 0;
+    if (overlay) scheduleRender();
+  }
+
+  // Our icon source can be a 64 KB data URL; it's not needed for layout.
+  function keepAttribute(name) {
+    if (name === 'data-local-unifi-drive-src') return false;
+    return SNAPSHOT_ATTRIBUTES.indexOf(name) !== -1 || name.indexOf('data-local-unifi-drive') === 0;
+  }
+
+  // Structure-only copy of `el` as an HTML string (see "Privacy" above).
+  function snapshot(el) {
+    if (!el || typeof el.cloneNode !== 'function') return { html: '', elements: 0, truncated: false };
+    const clone = el.cloneNode(true);
+    let count = 0;
+    let truncated = false;
+    const visit = (node) => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 1) {
+          if (count >= SNAPSHOT_MAX_ELEMENTS) {
+            truncated = true;
+            node.removeChild(child);
+            continue;
+          }
+          count++;
+          for (const attr of Array.from(child.attributes)) {
+            if (!keepAttribute(attr.name)) child.removeAttribute(attr.name);
+          }
+          visit(child);
+        } else if (child.nodeType === 3) {
+          if (child.nodeValue.trim()) child.nodeValue = '…';
+        } else {
+          node.removeChild(child);
+        }
+      }
+    };
+    for (const attr of Array.from(clone.attributes)) {
+      if (!keepAttribute(attr.name)) clone.removeAttribute(attr.name);
+    }
+    count++;
+    visit(clone);
+    return { html: clone.outerHTML, elements: count, truncated };
+  }
+
+  // `extra` carries what only the content script knows (settings, status,
+  // placement); the header element is turned into a snapshot here.
+  function buildReport(extra) {
+    const x = extra || {};
+    const report = {
+      schema: REPORT_SCHEMA,
+      version: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      page: { path: location.pathname, readyState: document.readyState, userAgent: navigator.userAgent }
+    };
+    for (const key of Object.keys(x)) if (key !== 'header') report[key] = x[key];
+    report.header = x.header ? Object.assign({ element: describeElement(x.header) }, snapshot(x.header)) : null;
+    report.events = entries();
+    return report;
+  }
+
+  function downloadReport(report) {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'local-unifi-drive-diagnostics-' + report.generatedAt.replace(/[:.]/g, '-') + '.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function formatTime(t) {
+    const d = new Date(t);
+    const pad = (n, w) => String(n).padStart(w || 2, '0');
+    return pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds()) + '.' + pad(d.getMilliseconds(), 3);
+  }
+
+  // Overlay re-renders are batched: a burst of records costs one update.
+  function scheduleRender() {
+    if (renderTimer) return;
+    renderTimer = setTimeout(() => {
+      renderTimer = null;
+      render();
+    }, 250);
+  }
+
+  function render() {
+    if (!overlay) return;
+    const list = overlay.querySelector('.local-unifi-drive-diagnostics-list');
+    list.textContent = '';
+    for (const e of events.slice(-OVERLAY_ROWS)) {
+      const row = document.createElement('div');
+      row.className = 'local-unifi-drive-diagnostics-row';
+      row.textContent = formatTime(e.t) + '  ' + e.event + (e.detail === null ? '' : '  ' + JSON.stringify(e.detail));
+      list.appendChild(row);
+    }
+    list.scrollTop = list.scrollHeight;
+    overlay.querySelector('.local-unifi-drive-diagnostics-count').textContent = I18n.t('diagnosticsEvents', [events.length], '$1 events');
+  }
+
+  function button(label, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  // handlers: { onExport, onClose, instance }; `instance` is the content
+  // script's id, stamped on the overlay.
+  function showOverlay(handlers) {
+    overlayHandlers = handlers || {};
+    if (overlay && document.body.contains(overlay)) return render();
+    overlay = document.createElement('div');
+    overlay.className = 'local-unifi-drive-diagnostics';
+    overlay.setAttribute('data-local-unifi-drive-diagnostics', '1');
+    if (overlayHandlers.instance) overlay.setAttribute('data-local-unifi-drive-instance', overlayHandlers.instance);
+    overlay.setAttribute('role', 'log');
+    overlay.setAttribute('aria-label', I18n.t('diagnosticsTitle', undefined, 'Local UniFi Drive diagnostics'));
+
+    const bar = document.createElement('div');
+    bar.className = 'local-unifi-drive-diagnostics-bar';
+    const title = document.createElement('strong');
+    title.textContent = I18n.t('diagnosticsTitle', undefined, 'Local UniFi Drive diagnostics');
+    const count = document.createElement('span');
+    count.className = 'local-unifi-drive-diagnostics-count';
+    bar.appendChild(title);
+    bar.appendChild(count);
+    bar.appendChild(button(I18n.t('diagnosticsExport', undefined, 'Export JSON'), () => overlayHandlers.onExport && overlayHandlers.onExport()));
+    bar.appendChild(button(I18n.t('diagnosticsClear', undefined, 'Clear'), clear));
+    bar.appendChild(button(I18n.t('diagnosticsClose', undefined, 'Close'), () => overlayHandlers.onClose ? overlayHandlers.onClose() : hideOverlay()));
+
+    const list = document.createElement('div');
+    list.className = 'local-unifi-drive-diagnostics-list';
+    overlay.appendChild(bar);
+    overlay.appendChild(list);
+    document.body.appendChild(overlay);
+    render();
+  }
+
+  function hideOverlay() {
+    if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    overlay = null;
+    if (renderTimer) clearTimeout(renderTimer);
+    renderTimer = null;
+  }
+
+  function isOverlayVisible() {
+    return !!overlay;
+  }
+
+  root.LocalUnifiDriveDiagnostics = {
+    LIMIT,
+    REPORT_SCHEMA,
+    REPORT_VERSION,
+    describeElement,
+    record,
+    entries,
+    clear,
+    snapshot,
+    buildReport,
+    downloadReport,
+    showOverlay,
+    hideOverlay,
+    isOverlayVisible
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
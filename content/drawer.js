@@ -0,0 +1,225 @@
+(function (root) {
+  /*
+    Local Unifi Drive drawer
+
+    Loaded before content.js. Shows a link in a resizable panel on the right
+    edge of the console page (open mode "drawer"), so Protect's live view
+    stays visible next to Drive.
+
+    - The panel is an iframe; sites that refuse to be framed (X-Frame-Options
+      or CSP frame-ancestors) simply stay blank, which a page can't detect.
+      The bar therefore always offers "Open in new tab", and a notice with
+      the same fallback appears when the frame hasn't loaded after
+      LOAD_TIMEOUT_MS. A frame-src violation of the console's own CSP is
+      detectable and reported through `onBlocked`.
+    - Width is clamped to MIN_WIDTH..(viewport - MIN_PAGE_WIDTH). The drawer
+      reports changes (`onResize`, `onClose`); the content script stores
+      them per console.
+    - No chrome.* here: strings come from LocalUnifiDriveI18n (shared/i18n.js,
+      loaded before this file).
+  */
+  const I18n = root.LocalUnifiDriveI18n;
+  const DEFAULT_WIDTH = 480;
+  const MIN_WIDTH = 280;
+  const MIN_PAGE_WIDTH = 160;
+  const KEY_STEP = 24;
+  const LOAD_TIMEOUT_MS = 8000;
+
+  let drawer = null;
+  let handlers = {};
+  let loadTimer = null;
+  let currentUrl = '';
+
+  function clampWidth(width) {
+    const max = Math.max(MIN_WIDTH, (root.innerWidth || DEFAULT_WIDTH + MIN_PAGE_WIDTH) - MIN_PAGE_WIDTH);
+    const w = Math.round(Number(width) || DEFAULT_WIDTH);
+    return Math.min(max, Math.max(MIN_WIDTH, w));
+  }
+
+  function hostOf(url) {
+    try { return new URL(url).host; } catch (e) { return url; }
+  }
+
+  function button(label, onClick, className) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    if (className) b.className = className;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function setWidth(width, report) {
+    if (!drawer) return;
+    const w = clampWidth(width);
+    drawer.style.setProperty('width', w + 'px', 'important');
+    const handle = drawer.querySelector('.local-unifi-drive-drawer-handle');
+    handle.setAttribute('aria-valuenow', String(w));
+    if (report && handlers.onResize) handlers.onResize(w);
+  }
+
+  function width() {
+    return drawer ? clampWidth(parseInt(drawer.style.width, 10)) : 0;
+  }
+
+  function showNotice() {
+    if (!drawer) return;
+    drawer.querySelector('.local-unifi-drive-drawer-notice').hidden = false;
+  }
+
+  function openInTab() {
+    const url = currentUrl;
+    if (handlers.onFallback) handlers.onFallback(url);
+    else root.open(url, '_blank');
+  }
+
+  // The console's own CSP may forbid frames from the link's origin.
+  function onViolation(e) {
+    if (!drawer || !currentUrl) return;
+    const directive = String(e.effectiveDirective || e.violatedDirective || '');
+    if (!/^(frame-src|child-src|default-src)/.test(directive)) return;
+    let blocked = '';
+    try { blocked = new URL(e.blockedURI).origin; } catch (err) { return; }
+    if (blocked !== new URL(currentUrl).origin) return;
+    showNotice();
+    if (handlers.onBlocked) handlers.onBlocked(currentUrl);
+  }
+
+  function startResize(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const handle = e.currentTarget;
+    const frame = drawer.querySelector('iframe');
+    // The iframe would swallow pointer events while dragging over it.
+    frame.style.setProperty('pointer-events', 'none', 'important');
+    try { handle.setPointerCapture(e.pointerId); } catch (err) {}
+    const move = (ev) => setWidth((root.innerWidth || 0) - ev.clientX, false);
+    const end = () => {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+      frame.style.removeProperty('pointer-events');
+      if (handlers.onResize) handlers.onResize(width());
+    };
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+  }
+
+  function onHandleKey(e) {
+    if (e.key === 'ArrowLeft') setWidth(width() + KEY_STEP, true);
+    else if (e.key === 'ArrowRight') setWidth(width() - KEY_STEP, true);
+    else return;
+    e.preventDefault();
+  }
+
+  function build() {
+    const el = document.createElement('aside');
+    el.className = 'local-unifi-drive-drawer';
+    el.setAttribute('data-local-unifi-drive-drawer', '1');
+
+    const handle = document.createElement('div');
+    handle.className = 'local-unifi-drive-drawer-handle';
+    handle.setAttribute('role', 'separator');
+    handle.setAttribute('aria-orientation', 'vertical');
+    handle.setAttribute('aria-valuemin', String(MIN_WIDTH));
+    handle.setAttribute('aria-label', I18n.t('drawerResize', undefined, 'Resize panel'));
+    handle.tabIndex = 0;
+    handle.addEventListener('pointerdown', startResize);
+    handle.addEventListener('keydown', onHandleKey);
+
+    const bar = document.createElement('div');
+    bar.className = 'local-unifi-drive-drawer-bar';
+    const title = document.createElement('strong');
+    const actions = document.createElement('span');
+    actions.className = 'local-unifi-drive-drawer-actions';
+    actions.appendChild(button(I18n.t('drawerOpenInTab', undefined, 'Open in new tab'), openInTab));
+    actions.appendChild(button(I18n.t('drawerClose', undefined, 'Close'), () => close(true)));
+    bar.appendChild(title);
+    bar.appendChild(actions);
+
+    const notice = document.createElement('div');
+    notice.className = 'local-unifi-drive-drawer-notice';
+    notice.setAttribute('role', 'status');
+    notice.hidden = true;
+    const text = document.createElement('span');
+    notice.appendChild(text);
+    notice.appendChild(button(I18n.t('drawerOpenInTab', undefined, 'Open in new tab'), openInTab));
+
+    const frame = document.createElement('iframe');
+    frame.addEventListener('load', () => {
+      clearTimeout(loadTimer);
+      loadTimer = null;
+    });
+
+    el.appendChild(handle);
+    el.appendChild(bar);
+    el.appendChild(notice);
+    el.appendChild(frame);
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close(true);
+    });
+    return el;
+  }
+
+  // opts: { url, label, width, instance, onResize(width), onClose(),
+  // onFallback(url), onBlocked(url) }. `instance` is the content script's
+  // id, stamped on the panel. Reopening with another URL keeps the panel in
+  // place.
+  function open(opts) {
+    const o = opts || {};
+    handlers = o;
+    currentUrl = String(o.url || '');
+    if (!drawer || !document.body.contains(drawer)) {
+      drawer = build();
+      document.body.appendChild(drawer);
+      document.addEventListener('securitypolicyviolation', onViolation);
+    }
+    if (o.instance) drawer.setAttribute('data-local-unifi-drive-instance', o.instance);
+    const label = o.label || hostOf(currentUrl);
+    drawer.setAttribute('aria-label', label);
+    drawer.querySelector('.local-unifi-drive-drawer-bar strong').textContent = label;
+    const notice = drawer.querySelector('.local-unifi-drive-drawer-notice');
+    notice.hidden = true;
+    notice.querySelector('span').textContent = I18n.t('drawerBlankHint', [hostOf(currentUrl)], "Nothing showing? $1 may not allow being embedded in other pages.");
+    setWidth(o.width || DEFAULT_WIDTH, false);
+    const frame = drawer.querySelector('iframe');
+    frame.title = label;
+    clearTimeout(loadTimer);
+    loadTimer = setTimeout(showNotice, LOAD_TIMEOUT_MS);
+    frame.src = currentUrl;
+  }
+
+  // `byUser` is passed on to onClose so the caller can forget the open state.
+  function close(byUser) {
+    clearTimeout(loadTimer);
+    loadTimer = null;
+    document.removeEventListener('securitypolicyviolation', onViolation);
+    if (drawer && drawer.parentNode) drawer.parentNode.removeChild(drawer);
+    const wasOpen = !!drawer;
+    drawer = null;
+    currentUrl = '';
+    const onClose = handlers.onClose;
+    handlers = {};
+    if (wasOpen && onClose) onClose(!!byUser);
+  }
+
+  function isOpen() {
+    return !!drawer;
+  }
+
+  function url() {
+    return currentUrl;
+  }
+
+  root.LocalUnifiDriveDrawer = {
+    DEFAULT_WIDTH,
+    MIN_WIDTH,
+    clampWidth,
+    open,
+    close,
+    isOpen,
+    url,
+    width
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
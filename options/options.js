@@ -1,29 +1,713 @@
 document.addEventListener('DOMContentLoaded', () => {
-  const input = document.getElementById('driveLink');
+  const Settings = LocalUnifiDriveSettings;
+  const Platform = LocalUnifiDrivePlatform;
+  const I18n = LocalUnifiDriveI18n;
+  const t = I18n.t;
+  const HEALTH_KEYS = { online: 'healthOnline', offline: 'healthOffline', unknown: 'healthUnknown' };
+  // Must match MESSAGE_TYPE in options/preview.js.
+  const PREVIEW_MESSAGE = 'local-unifi-drive-preview';
+  const PREVIEW_DELAY_MS = 150;
+  I18n.localizeDocument(document);
+  const linksBody = document.getElementById('links');
+  const addBtn = document.getElementById('addLink');
   const saveBtn = document.getElementById('save');
   const openBtn = document.getElementById('open');
+  const originsInput = document.getElementById('allowedOrigins');
+  const hiddenInput = document.getElementById('hiddenOrigins');
+  const statusEl = document.getElementById('status');
+  const intervalInput = document.getElementById('healthCheckInterval');
+  const timeoutInput = document.getElementById('healthCheckTimeout');
+  const checkBtn = document.getElementById('checkNow');
+  const profileSelect = document.getElementById('placementProfileId');
+  const profilesInput = document.getElementById('placementProfiles');
+  const consoleProfilesInput = document.getElementById('consoleProfiles');
+  const positionMode = document.getElementById('iconPositionMode');
+  const positionApp = document.getElementById('iconPositionApp');
+  const delayInput = document.getElementById('delayedCreate');
+  const exportBtn = document.getElementById('exportSettings');
+  const importBtn = document.getElementById('importSettings');
+  const importFile = document.getElementById('importFile');
+  const resetBtn = document.getElementById('resetSettings');
+  const themeSelect = document.getElementById('themeMode');
+  const openModeSelect = document.getElementById('openMode');
+  const overrideInput = document.getElementById('allowPageLinkOverride');
+  const diagnosticsInput = document.getElementById('diagnosticsMode');
+  const storageUrlInput = document.getElementById('storageUrl');
+  const storageUsedInput = document.getElementById('storageUsedPath');
+  const storageFreeInput = document.getElementById('storageFreePath');
+  const storageTotalInput = document.getElementById('storageTotalPath');
+  const storageUnitSelect = document.getElementById('storageUnit');
+  const storageWarnInput = document.getElementById('storageWarnPercent');
+  const storageCriticalInput = document.getElementById('storageCriticalPercent');
+  const previewFrame = document.getElementById('preview');
+  const previewHeader = document.getElementById('previewHeader');
+  const previewLight = document.getElementById('previewLight');
+  // Uploaded icons waiting to be written to chrome.storage.local on Save.
+  let pendingIcons = { dark: '', light: '' };
+  // Policy state from the last load (see Settings.readStoredSettings):
+  // locked keys are shown read-only, and saving keeps the user's own synced
+  // values for them so a removed policy falls back to those.
+  let managedItems = {};
+  let lockedKeys = [];
+  let syncedItems = {};
+
+  document.getElementById('builtinProfiles').textContent = JSON.stringify(Settings.BUILTIN_PLACEMENT_PROFILES, null, 2);
+
+  for (const unit of Object.keys(Settings.STORAGE_UNITS)) {
+    const opt = document.createElement('option');
+    opt.value = unit;
+    opt.textContent = unit;
+    storageUnitSelect.appendChild(opt);
+  }
+
+  const choices = document.getElementById('iconChoices');
+  for (const name of Settings.ICON_CHOICES) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    choices.appendChild(opt);
+  }
+
+  // One table row per launcher link. The link id is kept on the row so that
+  // re-saving doesn't churn ids (the content script uses them for element ids).
+  function addRow(link) {
+    const tr = document.createElement('tr');
+    tr.dataset.linkId = link.id;
+    tr.innerHTML =
+      '<td><input class="enabled" type="checkbox" /></td>' +
+      '<td><input class="label" type="text" placeholder="Drive" /></td>' +
+      '<td><input class="tooltip" type="text" /></td>' +
+      '<td><input class="url" type="text" placeholder="https://your.local.drive/" /><div class="url-preview hint"></div></td>' +
+      '<td><input class="icon" type="text" list="iconChoices" placeholder="drive" /></td>' +
+      '<td><textarea class="shares" rows="2" placeholder="Media | https://your.local.drive/shares/media"></textarea></td>' +
+      '<td><input class="order" type="number" step="1" /></td>' +
+      '<td><button class="remove" type="button"></button></td>';
+    tr.querySelector('.enabled').checked = link.enabled;
+    tr.querySelector('.label').value = link.label;
+    tr.querySelector('.tooltip').value = link.tooltip;
+    tr.querySelector('.tooltip').placeholder = t('iconTooltip', [link.label]);
+    tr.querySelector('.remove').textContent = t('optionsRemove');
+    tr.querySelector('.url').value = link.url;
+    tr.querySelector('.icon').value = link.icon;
+    tr.querySelector('.shares').value = Settings.formatSharesText(link.shares);
+    tr.querySelector('.order').value = link.order;
+    tr.querySelector('.remove').addEventListener('click', () => {
+      tr.remove();
+      updatePreview();
+    });
+    tr.querySelector('.url').addEventListener('input', () => showTemplatePreview(tr));
+    tr.querySelector('.label').addEventListener('input', () => {
+      tr.querySelector('.tooltip').placeholder = t('iconTooltip', [tr.querySelector('.label').value.trim() || link.label]);
+    });
+    linksBody.appendChild(tr);
+    showTemplatePreview(tr);
+  }
+
+  originsInput.addEventListener('input', () => {
+    for (const tr of linksBody.querySelectorAll('tr')) showTemplatePreview(tr);
+  });
+
+  // Sample pages on the first configured console (or a placeholder address)
+  // to show what a link template turns into.
+  function previewPages() {
+    const first = originsInput.value.split(/\s+/).map(Settings.normalizeOrigin).find(Boolean) || 'https://192.168.1.1';
+    return [
+      { name: t('optionsPreviewNetwork'), href: first + '/network/default/dashboard' },
+      { name: t('optionsPreviewCamera'), href: first + '/protect/devices/65f1c0de' }
+    ];
+  }
+
+  function showTemplatePreview(tr) {
+    const url = tr.querySelector('.url').value.trim();
+    const box = tr.querySelector('.url-preview');
+    box.textContent = '';
+    if (!Settings.hasTemplate(url) || Settings.validateUrl(url)) return;
+    for (const page of previewPages()) {
+      const res = Settings.expandTemplate(url, Settings.templateContext(page.href));
+      const line = document.createElement('div');
+      line.textContent = page.name + ': ' + (res.url || t('optionsPreviewNothing')) +
+        (res.missing.length ? ' ' + t('optionsPreviewMissing', [res.missing.map((n) => '{' + n + '}').join(', ')]) : '');
+      box.appendChild(line);
+    }
+  }
+
+  // Text for a validation problem from shared/settings.js ({ key, subs },
+  // subs possibly problems too); '' for none.
+  function problemText(p) {
+    if (!p) return '';
+    return t(p.key, p.subs.map((sub) => (sub && typeof sub === 'object' ? problemText(sub) : sub)));
+  }
+
+  // Show (or clear) an inline error right below a field. Returns true when
+  // the field is valid.
+  function setFieldError(input, message) {
+    let el = input.nextElementSibling;
+    if (!el || !el.classList.contains('field-error')) {
+      el = document.createElement('div');
+      el.className = 'field-error';
+      input.insertAdjacentElement('afterend', el);
+    }
+    el.textContent = message || '';
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+    return !message;
+  }
+
+  // Whole numbers within [min, max]; `extra` can reject further values.
+  function validateInteger(input, min, max, extra) {
+    const raw = input.value.trim();
+    const n = Number(raw);
+    let msg = '';
+    if (raw === '') msg = t('errorEnterNumber');
+    else if (!Number.isInteger(n)) msg = t('errorWholeNumber');
+    else if (n < min || n > max) msg = t('errorRange', [min, max]);
+    else if (extra) msg = extra(n) || '';
+    setFieldError(input, msg);
+    return msg ? null : n;
+  }
+
+  function validateRows() {
+    let ok = true;
+    for (const tr of linksBody.querySelectorAll('tr')) {
+      const url = tr.querySelector('.url');
+      const enabled = tr.querySelector('.enabled').checked;
+      // Disabled rows may stay empty, but whatever is typed must be valid.
+      const urlErr = (enabled || url.value.trim()) ? Settings.validateUrl(url.value) : null;
+      ok = setFieldError(url, problemText(urlErr)) && ok;
+      const icon = tr.querySelector('.icon');
+      const v = icon.value.trim();
+      const iconOk = !v || Settings.ICON_CHOICES.indexOf(v) !== -1 || /^(https?:|data:image\/)/i.test(v);
+      let iconErr = iconOk ? '' : t('errorIcon', [Settings.ICON_CHOICES.join(', ')]);
+      // Too big for the synced `links` item (see LINK_DATA_ICON_MAX_BYTES).
+      if (iconOk && /^data:/i.test(v) && v.length > Settings.LINK_DATA_ICON_MAX_BYTES) {
+        iconErr = t('errorIconTooLarge', [Settings.LINK_DATA_ICON_MAX_BYTES / 1024]);
+      }
+      ok = setFieldError(icon, iconErr) && ok;
+      const shares = tr.querySelector('.shares');
+      ok = setFieldError(shares, Settings.parseSharesText(shares.value).errors.map(problemText).join(' ')) && ok;
+    }
+    return ok;
+  }
+
+  function readRows() {
+    return Array.from(linksBody.querySelectorAll('tr')).map((tr, i) => Settings.normalizeLink({
+      id: tr.dataset.linkId,
+      label: tr.querySelector('.label').value,
+      tooltip: tr.querySelector('.tooltip').value,
+      url: tr.querySelector('.url').value,
+      icon: tr.querySelector('.icon').value,
+      shares: Settings.parseSharesText(tr.querySelector('.shares').value).shares,
+      order: tr.querySelector('.order').value === '' ? i : tr.querySelector('.order').value,
+      enabled: tr.querySelector('.enabled').checked
+    }, i));
+  }
+
+  // Offer "automatic" plus every profile currently known (built-in and the
+  // custom ones as last loaded/saved).
+  function fillProfileSelect(items, selected) {
+    profileSelect.textContent = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = t('optionsProfileAuto');
+    profileSelect.appendChild(auto);
+    for (const p of Settings.placementProfiles(items)) {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name + ' [' + p.id + ']';
+      profileSelect.appendChild(opt);
+    }
+    profileSelect.value = selected || '';
+  }
+
+  // Known apps plus any the content script discovered on a console.
+  function fillAppSelect(discovered, selected) {
+    const ids = Object.keys(Settings.KNOWN_APPS);
+    for (const id of discovered.concat(selected ? [selected] : [])) if (id && ids.indexOf(id) === -1) ids.push(id);
+    positionApp.textContent = '';
+    for (const id of ids) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = Settings.appLabel(id) + (discovered.indexOf(id) !== -1 ? ' ' + t('optionsAppSeen') : '');
+      positionApp.appendChild(opt);
+    }
+    positionApp.value = selected || 'protect';
+  }
+
+  function updateAppSelectState() {
+    positionApp.disabled = isLocked('iconPosition') || (positionMode.value !== 'after' && positionMode.value !== 'before');
+  }
+
+  positionMode.addEventListener('change', updateAppSelectState);
+
+  function showIconPreviews() {
+    for (const box of document.querySelectorAll('.icon-upload')) {
+      const src = pendingIcons[box.dataset.theme];
+      const img = box.querySelector('.icon-preview');
+      if (src) img.src = src;
+      else img.removeAttribute('src');
+    }
+  }
+
+  for (const box of document.querySelectorAll('.icon-upload')) {
+    const theme = box.dataset.theme;
+    const fileInput = box.querySelector('.icon-file');
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      if (Settings.CUSTOM_ICON_TYPES.indexOf(file.type) === -1) {
+        fileInput.value = '';
+        return setFieldError(box, t('errorIconType'));
+      }
+      if (file.size > Settings.CUSTOM_ICON_MAX_BYTES) {
+        fileInput.value = '';
+        return setFieldError(box, t('errorIconSize', [Math.round(Settings.CUSTOM_ICON_MAX_BYTES / 1024)]));
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        pendingIcons[theme] = String(reader.result || '');
+        setFieldError(box, '');
+        showIconPreviews();
+        updatePreview();
+      };
+      reader.readAsDataURL(file);
+    });
+    box.querySelector('.icon-remove').addEventListener('click', () => {
+      pendingIcons[theme] = '';
+      fileInput.value = '';
+      setFieldError(box, '');
+      showIconPreviews();
+      updatePreview();
+    });
+  }
+
+  function isValidSelector(sel) {
+    try { document.createDocumentFragment().querySelector(sel); return true; } catch (e) { return false; }
+  }
+
+  // Parse and validate the custom profiles textarea.
+  function readPlacementProfiles() {
+    const text = profilesInput.value.trim();
+    if (!text) return { profiles: [], errors: [] };
+    let raw;
+    try { raw = JSON.parse(text); } catch (e) { return { profiles: [], errors: [t('errorProfilesJson', [e.message])] }; }
+    if (!Array.isArray(raw)) return { profiles: [], errors: [t('errorProfilesArray')] };
+    const profiles = [];
+    const errors = [];
+    raw.forEach((p, i) => {
+      const res = Settings.normalizePlacementProfile(p);
+      const where = (i + 1) + (res.profile ? ' (' + res.profile.id + ')' : '');
+      for (const err of res.errors) errors.push(t('errorProfileAt', [where, problemText(err)]));
+      if (!res.profile) return;
+      for (const sel of res.profile.containerSelectors.concat(res.profile.anchorSelectors)) {
+        if (!isValidSelector(sel)) errors.push(t('errorProfileAt', [where, t('errorProfileSelector', [sel])]));
+      }
+      profiles.push(res.profile);
+    });
+    return { profiles, errors };
+  }
+
+  // Parse and validate the console profiles textarea. The entries are stored
+  // as typed (only checked here), so profile-scoped link ids stay stable.
+  function readConsoleProfiles(placementIds) {
+    const text = consoleProfilesInput.value.trim();
+    if (!text) return { profiles: [], errors: [] };
+    let raw;
+    try { raw = JSON.parse(text); } catch (e) { return { profiles: [], errors: [t('errorConsoleProfilesJson', [e.message])] }; }
+    if (!Array.isArray(raw)) return { profiles: [], errors: [t('errorConsoleProfilesArray')] };
+    const errors = [];
+    const ids = new Set();
+    raw.forEach((p, i) => {
+      const res = Settings.normalizeConsoleProfile(p);
+      const where = (i + 1) + (res.profile ? ' (' + res.profile.id + ')' : '');
+      for (const err of res.errors) errors.push(t('errorConsoleProfileAt', [where, problemText(err)]));
+      if (!res.profile) return;
+      if (ids.has(res.profile.id)) errors.push(t('errorConsoleProfileAt', [where, t('errorConsoleDuplicate')]));
+      ids.add(res.profile.id);
+      const pinned = res.profile.placementProfileId;
+      if (pinned && placementIds.indexOf(pinned) === -1) errors.push(t('errorConsoleProfileAt', [where, t('errorConsolePlacementUnknown', [pinned])]));
+    });
+    return { profiles: raw, errors };
+  }
+
+  // Populate every field from settings items (stored, imported or defaults).
+  function fillForm(items) {
+    linksBody.textContent = '';
+    originsInput.value = Settings.normalizeOrigins(items.allowedOrigins).join('\n');
+    hiddenInput.value = Settings.normalizeOrigins(items.hiddenOrigins).join('\n');
+    for (const link of Settings.normalizeLinks(items)) addRow(link);
+    const d = Number(items.delayedCreate);
+    delayInput.value = isNaN(d) ? Settings.DEFAULTS.delayedCreate : d;
+    intervalInput.value = Number(items.healthCheckInterval) || 0;
+    timeoutInput.value = Number(items.healthCheckTimeout) || Settings.DEFAULTS.healthCheckTimeout;
+    const custom = Array.isArray(items.placementProfiles) ? items.placementProfiles : [];
+    profilesInput.value = custom.length ? JSON.stringify(custom, null, 2) : '';
+    const consoles = Array.isArray(items.consoleProfiles) ? items.consoleProfiles : [];
+    consoleProfilesInput.value = consoles.length ? JSON.stringify(consoles, null, 2) : '';
+    fillProfileSelect(items, items.placementProfileId);
+    const pos = Settings.normalizeIconPosition(items.iconPosition);
+    positionMode.value = pos.mode;
+    openModeSelect.value = Settings.normalizeOpenMode(items.openMode);
+    overrideInput.checked = !!items.allowPageLinkOverride;
+    diagnosticsInput.checked = !!items.diagnosticsMode;
+    themeSelect.value = Settings.THEME_MODES.indexOf(items.themeMode) === -1 ? 'auto' : items.themeMode;
+    const storage = Settings.normalizeStorageStatus(items.storageStatus);
+    // Keep what was typed even when normalizing would drop it (imports).
+    storageUrlInput.value = (items.storageStatus && typeof items.storageStatus.url === 'string') ? items.storageStatus.url : storage.url;
+    storageUsedInput.value = storage.usedPath;
+    storageFreeInput.value = storage.freePath;
+    storageTotalInput.value = storage.totalPath;
+    storageUnitSelect.value = storage.unit;
+    storageWarnInput.value = storage.warnPercent;
+    storageCriticalInput.value = storage.criticalPercent;
+    for (const el of document.querySelectorAll('.field-error')) el.textContent = '';
+    for (const el of document.querySelectorAll('[aria-invalid]')) el.removeAttribute('aria-invalid');
+    Platform.storage.local.get({ discoveredApps: [] }, (local) => {
+      fillAppSelect(Array.isArray(local.discoveredApps) ? local.discoveredApps : [], pos.app);
+      updateAppSelectState();
+    });
+    applyLocks();
+    updatePreview();
+  }
+
+  function isLocked(key) {
+    return lockedKeys.indexOf(key) !== -1;
+  }
+
+  // The controls behind each settings key that a policy can lock.
+  const LOCKABLE = {
+    links: () => [addBtn].concat(Array.from(linksBody.querySelectorAll('input, textarea, button'))),
+    allowedOrigins: () => [originsInput],
+    hiddenOrigins: () => [hiddenInput],
+    delayedCreate: () => [delayInput],
+    healthCheckInterval: () => [intervalInput],
+    healthCheckTimeout: () => [timeoutInput],
+    placementProfiles: () => [profilesInput],
+    placementProfileId: () => [profileSelect],
+    iconPosition: () => [positionMode, positionApp],
+    consoleProfiles: () => [consoleProfilesInput],
+    themeMode: () => [themeSelect],
+    openMode: () => [openModeSelect],
+    allowPageLinkOverride: () => [overrideInput],
+    diagnosticsMode: () => [diagnosticsInput],
+    storageStatus: () => [storageUrlInput, storageUsedInput, storageFreeInput, storageTotalInput, storageUnitSelect, storageWarnInput, storageCriticalInput]
+  };
+
+  // Text fields become read-only (still selectable), everything else is
+  // disabled. The notice at the top explains why.
+  function applyLocks() {
+    document.getElementById('managedNotice').hidden = !lockedKeys.length;
+    for (const key of Object.keys(LOCKABLE)) {
+      const locked = isLocked(key);
+      for (const el of LOCKABLE[key]()) {
+        if (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && el.type !== 'checkbox')) el.readOnly = locked;
+        else el.disabled = locked;
+        el.classList.toggle('managed-field', locked);
+        if (locked) {
+          el.title = t('optionsManagedField');
+          el.setAttribute('aria-describedby', 'managedNotice');
+        } else if (el.getAttribute('aria-describedby') === 'managedNotice') {
+          el.removeAttribute('title');
+          el.removeAttribute('aria-describedby');
+        }
+      }
+    }
+    updateAppSelectState();
+  }
+
+  // Consoles pushed by policy still need the site access only a click on
+  // Save can grant.
+  function checkManagedAccess(origins) {
+    if (!isLocked('allowedOrigins') || !origins.length || !chrome.permissions) return;
+    chrome.permissions.contains({ origins: origins.map(Settings.originToMatchPattern) }, (granted) => {
+      if (!granted) showStatus(t('statusManagedNeedsAccess'));
+    });
+  }
 
   function load() {
-    chrome.storage.sync.get({ driveLink: '', delayedCreate: 5 }, (items) => {
-      input.value = items.driveLink || '';
-      const d = Number(items.delayedCreate || 5);
-      document.getElementById('delayedCreate').value = isNaN(d) ? 5 : d;
+    Settings.readStoredSettings(Platform.storage, (stored) => {
+      managedItems = stored.managed;
+      lockedKeys = stored.locked;
+      syncedItems = stored.synced;
+      fillForm(stored.settings);
+      checkManagedAccess(Settings.normalizeOrigins(stored.settings.allowedOrigins));
+    });
+    Platform.storage.local.get({ customIcons: {} }, (items) => {
+      const c = items.customIcons || {};
+      pendingIcons = { dark: c.dark || '', light: c.light || '' };
+      showIconPreviews();
+      updatePreview();
+    });
+  }
+
+  addBtn.addEventListener('click', () => {
+    const rows = linksBody.querySelectorAll('tr').length;
+    addRow(Settings.normalizeLink({ icon: 'link', order: rows }, rows));
+    updatePreview();
+  });
+
+  function showStatus(text, isError) {
+    statusEl.textContent = text || '';
+    statusEl.className = isError ? 'error' : '';
+  }
+
+  // Replace the dynamic content script registration so it matches exactly
+  // the given patterns (none means the script is not registered at all).
+  // Scripting and permissions stay on chrome.*, which Firefox provides too.
+  function syncContentScripts(patterns, done) {
+    const script = Settings.CONTENT_SCRIPT;
+    chrome.scripting.getRegisteredContentScripts({ ids: [script.id] }, (existing) => {
+      const register = () => {
+        if (!patterns.length) return done();
+        chrome.scripting.registerContentScripts([{
+          id: script.id,
+          matches: patterns,
+          js: script.js,
+          css: script.css,
+          runAt: script.runAt,
+          persistAcrossSessions: true
+        }], () => done(chrome.runtime.lastError));
+      };
+      if (existing && existing.length) chrome.scripting.unregisterContentScripts({ ids: [script.id] }, register);
+      else register();
+    });
+  }
+
+  // Drop host permissions for removed consoles, and "tabs" once tab reuse
+  // is no longer selected.
+  function releaseUnusedOrigins(patterns, openMode) {
+    chrome.permissions.getAll((perms) => {
+      const stale = (perms.origins || []).filter((o) => patterns.indexOf(o) === -1);
+      if (stale.length) chrome.permissions.remove({ origins: stale });
+      if (openMode !== 'reuseTab' && (perms.permissions || []).indexOf('tabs') !== -1) {
+        chrome.permissions.remove({ permissions: ['tabs'] });
+      }
+    });
+  }
+
+  // Validate the Drive storage fields. Returns the `storageStatus` to store,
+  // or null when anything is invalid.
+  function readStorageStatus() {
+    const url = storageUrlInput.value.trim();
+    const used = storageUsedInput.value.trim();
+    const free = storageFreeInput.value.trim();
+    const total = storageTotalInput.value.trim();
+    let ok = setFieldError(storageUrlInput, url ? (Settings.hasTemplate(url) ? t('errorStorageTemplate') : problemText(Settings.validateUrl(url))) : '');
+    ok = setFieldError(storageUsedInput, url && !used && !free ? t('errorStorageUsedFree') : '') && ok;
+    ok = setFieldError(storageTotalInput, url && !total ? t('errorStorageTotal') : '') && ok;
+    const warn = validateInteger(storageWarnInput, 1, 100);
+    const critical = validateInteger(storageCriticalInput, 1, 100, (n) => (
+      warn !== null && n < warn ? t('errorStorageCritical') : ''
+    ));
+    if (!ok || warn === null || critical === null) return null;
+    return { url, usedPath: used, totalPath: total, freePath: free, unit: storageUnitSelect.value, warnPercent: warn, criticalPercent: critical };
+  }
+
+  // The worker reads the status endpoint's response, which needs that
+  // site's host permission too.
+  function storagePatterns(settings) {
+    const origin = Settings.normalizeOrigin(settings.storageStatus.url);
+    return origin ? [Settings.originToMatchPattern(origin)] : [];
+  }
+
+  // Validate every field, marking errors inline. Returns the settings to
+  // store, or null when anything is invalid.
+  function readForm() {
+    let ok = validateRows();
+
+    const lines = originsInput.value.split(/\s+/).filter(Boolean);
+    const invalid = lines.filter((l) => !Settings.normalizeOrigin(l));
+    ok = setFieldError(originsInput, invalid.length ? t('errorOrigin', [invalid.join(', ')]) : '') && ok;
+    const hidden = hiddenInput.value.split(/\s+/).filter(Boolean);
+    const invalidHidden = hidden.filter((l) => !Settings.normalizeOrigin(l));
+    ok = setFieldError(hiddenInput, invalidHidden.length ? t('errorOrigin', [invalidHidden.join(', ')]) : '') && ok;
+
+    const placement = readPlacementProfiles();
+    ok = setFieldError(profilesInput, placement.errors.join(' ')) && ok;
+    const placementIds = Settings.placementProfiles({ placementProfiles: placement.profiles }).map((p) => p.id);
+    const consoles = readConsoleProfiles(placementIds);
+    ok = setFieldError(consoleProfilesInput, consoles.errors.join(' ')) && ok;
+
+    const delay = validateInteger(delayInput, 0, Settings.MAX_DELAYED_CREATE);
+    const interval = validateInteger(intervalInput, 0, 86400, (n) => (
+      n > 0 && n < Settings.MIN_HEALTH_INTERVAL ? t('errorHealthInterval', [Settings.MIN_HEALTH_INTERVAL]) : ''
+    ));
+    const timeout = validateInteger(timeoutInput, 1, 60);
+    const storageStatus = readStorageStatus();
+    if (!ok || delay === null || interval === null || timeout === null || !storageStatus) return null;
+
+    const links = readRows().sort((a, b) => a.order - b.order);
+    const primary = Settings.primaryLink(links);
+    return {
+      settingsVersion: Settings.SETTINGS_VERSION,
+      links,
+      driveLink: primary ? primary.url : '',
+      delayedCreate: delay,
+      allowedOrigins: Settings.normalizeOrigins(lines),
+      hiddenOrigins: Settings.normalizeOrigins(hidden),
+      healthCheckInterval: interval,
+      healthCheckTimeout: timeout,
+      placementProfiles: placement.profiles,
+      placementProfileId: profileSelect.value,
+      iconPosition: Settings.normalizeIconPosition({ mode: positionMode.value, app: positionApp.value }),
+      consoleProfiles: consoles.profiles,
+      themeMode: themeSelect.value,
+      openMode: Settings.normalizeOpenMode(openModeSelect.value),
+      allowPageLinkOverride: overrideInput.checked,
+      diagnosticsMode: diagnosticsInput.checked,
+      storageStatus
+    };
+  }
+
+  // The form as it is right now, unvalidated: what the header preview
+  // (options/preview.html) shows.
+  function previewSettings() {
+    const links = readRows().sort((a, b) => a.order - b.order);
+    const primary = Settings.primaryLink(links);
+    return {
+      links,
+      driveLink: primary ? primary.url : '',
+      placementProfiles: readPlacementProfiles().profiles,
+      placementProfileId: profileSelect.value,
+      iconPosition: Settings.normalizeIconPosition({ mode: positionMode.value, app: positionApp.value }),
+      themeMode: themeSelect.value,
+      openMode: Settings.normalizeOpenMode(openModeSelect.value)
+    };
+  }
+
+  // Batched, so typing updates the preview once per pause.
+  let previewTimer = null;
+  function updatePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      previewTimer = null;
+      if (!previewFrame.contentWindow) return;
+      previewFrame.contentWindow.postMessage({
+        type: PREVIEW_MESSAGE,
+        settings: previewSettings(),
+        customIcons: pendingIcons,
+        header: previewHeader.value,
+        light: previewLight.checked
+      }, '/');
+    }, PREVIEW_DELAY_MS);
+  }
+
+  previewFrame.addEventListener('load', updatePreview);
+  document.addEventListener('input', updatePreview);
+  document.addEventListener('change', updatePreview);
+
+  function saveSettings(settings) {
+    const patterns = settings.allowedOrigins.map(Settings.originToMatchPattern);
+    Platform.storage.local.set({ customIcons: pendingIcons });
+    // Policy values are not the user's: keep their own for locked keys.
+    const own = Object.assign({}, settings);
+    for (const key of lockedKeys) {
+      if (key in syncedItems) own[key] = syncedItems[key];
+      else delete own[key];
+    }
+    Platform.storage.sync.set(own, (err) => {
+      if (err) return showStatus(t('statusSaveFailed', [err.message]), true);
+      syncedItems = Object.assign({}, syncedItems, own);
+      syncContentScripts(patterns, (err) => {
+        if (err) return showStatus(t('statusRegisterFailed', [err.message]), true);
+        releaseUnusedOrigins(patterns.concat(storagePatterns(settings)), settings.openMode);
+        fillForm(settings);
+        saveBtn.textContent = t('optionsSaved');
+        setTimeout(() => (saveBtn.textContent = t('optionsSave')), 1200);
+      });
     });
   }
 
   saveBtn.addEventListener('click', () => {
-    const val = input.value.trim();
-    const delayVal = Number(document.getElementById('delayedCreate').value) || 0;
-    chrome.storage.sync.set({ driveLink: val, delayedCreate: delayVal }, () => {
-      saveBtn.textContent = 'Saved!';
-      setTimeout(() => (saveBtn.textContent = 'Save'), 1200);
+    const settings = readForm();
+    if (!settings) return showStatus(t('statusFixFields'), true);
+    showStatus('');
+    const origins = settings.allowedOrigins.map(Settings.originToMatchPattern);
+    for (const pattern of storagePatterns(settings)) if (origins.indexOf(pattern) === -1) origins.push(pattern);
+    const request = { origins };
+    if (settings.openMode === 'reuseTab') request.permissions = ['tabs'];
+    if (!request.origins.length && !request.permissions) return saveSettings(settings);
+    // permissions.request must run directly inside the click handler.
+    chrome.permissions.request(request, (granted) => {
+      if (!granted) {
+        return showStatus(request.permissions
+          ? t('statusPermissionsDenied')
+          : t('statusOriginsDenied'), true);
+      }
+      saveSettings(settings);
+    });
+  });
+
+  // Export the saved settings (not unsaved edits) as a JSON file.
+  exportBtn.addEventListener('click', () => {
+    Platform.storage.sync.get(Settings.DEFAULTS, (items) => {
+      const data = Settings.buildSettingsExport(items);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'local-unifi-drive-settings.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    });
+  });
+
+  // Imported settings are only loaded into the form: saving goes through the
+  // normal validation and permission prompt for the imported consoles.
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    const file = importFile.files && importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const res = Settings.parseSettingsExport(String(reader.result || ''));
+      if (!res.settings) return showStatus(t('statusImportFailed', [res.errors.map(problemText).join(' ')]), true);
+      fillForm(Settings.applyManagedSettings(Object.assign({}, Settings.DEFAULTS, res.settings), managedItems).settings);
+      showStatus([t('statusImported', [file.name])].concat(res.warnings.map(problemText)).join(' '));
+    };
+    reader.onerror = () => showStatus(t('statusReadFailed', [file.name]), true);
+    reader.readAsText(file);
+  });
+
+  resetBtn.addEventListener('click', () => {
+    if (!confirm(t('confirmReset'))) return;
+    Platform.storage.local.remove('customIcons');
+    Platform.storage.sync.clear(() => {
+      syncContentScripts([], () => {
+        releaseUnusedOrigins([]);
+        load();
+        showStatus(t('statusResetDone'));
+      });
+    });
+  });
+
+  // Probes the saved links (not the unsaved rows) through the background worker.
+  checkBtn.addEventListener('click', () => {
+    showStatus(t('statusChecking'));
+    Platform.runtime.sendMessage({ type: 'health:check' }, (results, err) => {
+      if (err || !results) return showStatus(t('statusHealthFailed'), true);
+      const labels = {};
+      for (const l of readRows()) labels[l.id] = l.label;
+      const lines = Object.keys(results).map((id) => {
+        const r = results[id];
+        return (labels[id] || id) + ': ' + t(HEALTH_KEYS[r.state] || 'healthUnknown') + (r.error ? ' (' + r.error + ')' : '');
+      });
+      // The storage status comes from the saved endpoint, like the links.
+      Platform.runtime.sendMessage({ type: 'storage:check' }, (st) => {
+        if (st) {
+          lines.push(t('storageDetail', [st.state === 'ok'
+            ? t('storageFree', [Settings.formatBytes(st.free), Settings.formatBytes(st.total), st.percent])
+            : t('storageUnavailable', [st.error || ''])]));
+        }
+        showStatus(lines.join(' \u00b7 ') || t('statusNothingToCheck'));
+      });
     });
   });
 
   openBtn.addEventListener('click', () => {
-    const val = input.value.trim();
-    if (val) window.open(val, '_blank');
-    else alert('Please enter a link first');
+    const primary = Settings.primaryLink(readRows().sort((a, b) => a.order - b.order));
+    if (primary && primary.url) window.open(primary.url, '_blank');
+    else alert(t('alertEnterLink'));
   });
 
   load();
@@ -0,0 +1,43 @@
+(function (root) {
+  /*
+    Local Unifi Drive header preview
+
+    Loaded by options/preview.html before the content script. The options
+    page frames that page and posts its unsaved settings here; they go into
+    an in-memory platform (shared/platform.js), so the real content script
+    picks them up through its usual storage listener and nothing is saved.
+
+    Message from the parent page:
+    { type: 'local-unifi-drive-preview', settings, customIcons, header, light }
+    - `header` picks a mock header variant (the <template> ids in
+      preview.html without the `header-` prefix), `light` its theme.
+  */
+  const MESSAGE_TYPE = 'local-unifi-drive-preview';
+  const Platform = root.LocalUnifiDrivePlatform.create('memory');
+  root.LocalUnifiDrivePlatform = Platform;
+
+  let currentHeader = '';
+
+  // Swap the mock header; the content script notices and places the icons
+  // again like after a console re-render.
+  function showHeader(variant) {
+    const template = document.getElementById('header-' + variant) || document.getElementById('header-container');
+    if (template.id === currentHeader) return;
+    currentHeader = template.id;
+    const host = document.getElementById('header');
+    host.textContent = '';
+    host.appendChild(template.content.cloneNode(true));
+  }
+
+  showHeader('container');
+
+  root.addEventListener('message', (e) => {
+    if (e.source !== root.parent || e.origin !== root.location.origin) return;
+    const d = e.data;
+    if (!d || d.type !== MESSAGE_TYPE) return;
+    showHeader(String(d.header || ''));
+    document.body.setAttribute('data-theme', d.light ? 'light' : 'dark');
+    Platform.storage.local.set({ customIcons: d.customIcons || {} });
+    Platform.storage.sync.set(d.settings || {});
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,159 @@
+/*
+  Local Unifi Drive toolbar popup
+
+  Shows what the content script did in the active tab and sends it the page
+  bridge's create/remove/repair/status requests (see content/content.js)
+  through the platform layer's tabs.sendMessage, plus one-click access to every configured
+  link. Links are opened by the background worker, so `openMode` applies
+  (the on-page drawer needs a console page and becomes a new tab here).
+*/
+document.addEventListener('DOMContentLoaded', () => {
+  const Settings = LocalUnifiDriveSettings;
+  const Platform = LocalUnifiDrivePlatform;
+  const I18n = LocalUnifiDriveI18n;
+  const t = I18n.t;
+  // Must match BRIDGE_PROTOCOL / BRIDGE_VERSION in content/content.js.
+  const BRIDGE_PROTOCOL = 'local-unifi-drive';
+  const BRIDGE_VERSION = 1;
+  const STATE_KEYS = { placed: 'popupStatePlaced', waiting: 'popupStateWaiting', idle: 'popupStateIdle' };
+  const HEALTH_KEYS = { online: 'healthOnline', offline: 'healthOffline' };
+
+  const tabSection = document.getElementById('tab');
+  const noConsole = document.getElementById('noConsole');
+  const statusEl = document.getElementById('status');
+  const linksList = document.getElementById('links');
+  const unhideBtn = document.getElementById('unhide');
+  let activeTab = null;
+  let tabOrigin = '';
+  let settings = Settings.DEFAULTS;
+  let locked = [];
+  let requestId = 0;
+  I18n.localizeDocument(document);
+
+  function showStatus(msg, isError) {
+    statusEl.textContent = msg || '';
+    statusEl.className = isError ? 'error' : '';
+  }
+
+  // Send one bridge request to the active tab; cb(err, result).
+  function sendToTab(action, cb) {
+    const request = { protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, id: ++requestId, action, params: {} };
+    Platform.tabs.sendMessage(activeTab.id, request, (res, err) => {
+      if (err || !res) return cb(new Error('no content script'));
+      if (!res.ok) return cb(new Error(res.error ? res.error.message : 'request failed'));
+      cb(null, res.result);
+    });
+  }
+
+  // The active tab's view of the settings: its console profile, if any,
+  // replaces the global links.
+  function tabSettings() {
+    const origin = activeTab && /^https?:/i.test(String(activeTab.url || '')) ? new URL(activeTab.url).origin : '';
+    return origin ? Settings.applyConsoleProfile(settings, origin).settings : settings;
+  }
+
+  function labelFor(linkId) {
+    const link = Settings.normalizeLinks(tabSettings()).find((l) => l.id === linkId);
+    return link ? link.label : linkId;
+  }
+
+  function renderStatus(status) {
+    tabSection.hidden = false;
+    noConsole.hidden = true;
+    let state = STATE_KEYS[status.state] ? t(STATE_KEYS[status.state]) : status.state;
+    if (status.hidden) state = t('popupStateHidden');
+    else if (status.state === 'placed' && !status.complete) state += ' ' + t('popupIconsMissing');
+    document.getElementById('tabState').textContent = state;
+    const placement = status.profile || (status.placement === 'none' ? t('popupNoHeaderMatch') : status.placement);
+    document.getElementById('tabProfile').textContent = status.consoleProfile ? status.consoleProfile + ' \u00b7 ' + placement : placement;
+    document.getElementById('tabLinks').textContent = status.icons.length
+      ? status.icons.map((i) => labelFor(i.link) + (HEALTH_KEYS[i.health] ? ' (' + t(HEALTH_KEYS[i.health]) + ')' : '')).join(', ')
+      : t('popupNone');
+    tabOrigin = status.origin;
+    unhideBtn.hidden = !status.hidden || locked.indexOf('hiddenOrigins') !== -1;
+  }
+
+  function refreshStatus() {
+    if (!activeTab) return;
+    sendToTab('status', (err, status) => {
+      if (err) {
+        tabSection.hidden = true;
+        noConsole.hidden = false;
+        return;
+      }
+      renderStatus(status);
+    });
+  }
+
+  for (const btn of document.querySelectorAll('[data-action]')) {
+    btn.addEventListener('click', () => {
+      showStatus('');
+      sendToTab(btn.getAttribute('data-action'), (err, status) => {
+        if (err) return showStatus(t('popupNoAnswer', [err.message]), true);
+        renderStatus(status);
+      });
+    });
+  }
+
+  // The content script reloads its settings on this change.
+  unhideBtn.addEventListener('click', () => {
+    const hidden = Settings.normalizeOrigins(settings.hiddenOrigins).filter((o) => o !== tabOrigin);
+    Platform.storage.sync.set({ hiddenOrigins: hidden }, () => {
+      settings = Object.assign({}, settings, { hiddenOrigins: hidden });
+      setTimeout(refreshStatus, 300);
+    });
+  });
+
+  // Templates expand against the active console page when there is one,
+  // otherwise against the first configured console (like the background).
+  function resolveUrl(url) {
+    if (!Settings.hasTemplate(url)) return url;
+    const tabUrl = activeTab && /^https?:/i.test(String(activeTab.url || '')) ? activeTab.url : '';
+    const origin = Settings.normalizeOrigins(settings.allowedOrigins)[0];
+    const page = tabUrl || (origin ? origin + '/' : '');
+    return page ? Settings.expandTemplate(url, Settings.templateContext(page)).url : '';
+  }
+
+  function renderLinks() {
+    linksList.textContent = '';
+    const targets = Settings.launcherTargets(Settings.normalizeLinks(tabSettings()))
+      .map((t) => Object.assign(t, { url: resolveUrl(t.url) }))
+      .filter((t) => t.url);
+    document.getElementById('noLinks').hidden = targets.length > 0;
+    for (const t of targets) {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = t.url;
+      a.textContent = t.label;
+      const url = document.createElement('span');
+      url.className = 'url';
+      url.textContent = t.url;
+      a.appendChild(url);
+      a.addEventListener('click', (e) => {
+        e.preventDefault();
+        const message = { type: 'open', url: t.url };
+        // The side panel has to be opened while the click still counts.
+        if (settings.openMode === 'sidePanel' && activeTab) Object.assign(message, { mode: 'sidePanel', windowId: activeTab.windowId });
+        Platform.runtime.sendMessage(message, () => window.close());
+      });
+      li.appendChild(a);
+      linksList.appendChild(li);
+    }
+  }
+
+  document.getElementById('options').addEventListener('click', () => {
+    Platform.runtime.openOptionsPage();
+    window.close();
+  });
+
+  Settings.readStoredSettings(Platform.storage, (stored) => {
+    settings = stored.settings;
+    locked = stored.locked;
+    Platform.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      activeTab = (tabs && tabs[0]) || null;
+      renderLinks();
+      if (activeTab) refreshStatus();
+      else noConsole.hidden = false;
+    });
+  });
+});
@@ -0,0 +1,130 @@
+(function (root) {
+  /*
+    Local Unifi Drive reachability probe
+
+    Used by the background service worker to check whether a configured link
+    answers at all. It has no chrome.* dependencies, so it can also be loaded
+    with plain Node (>= 18, global fetch) and pointed at a local HTTP stand-in:
+
+      node -e "require('./shared/health.js'); LocalUnifiDriveHealth.probe('http://127.0.0.1:8000/').then(console.log)"
+
+    Result states:
+    - 'online'  the server answered (opaque responses count: the extension
+                usually has no CORS access to the NAS, but an answer is an answer)
+    - 'offline' network error, timeout or a 5xx status
+    - 'unknown' nothing to probe (empty or non-http URL)
+
+    `fetchStorage(config, opts)` reads Drive storage usage from a JSON status
+    endpoint; `config` is a normalized `storageStatus` (shared/settings.js).
+    Unlike the probe it needs the response body, so the endpoint's host
+    permission (or CORS) is required. Resolves with { state: 'ok', used,
+    free, total (bytes), percent, level: 'ok'|'warning'|'critical' } or
+    { state: 'error', error }, both with `checkedAt`. A stand-in works too:
+
+      echo '{"used": 700, "total": 1000}' > status.json
+      node -e "require('./shared/health.js'); LocalUnifiDriveHealth.fetchStorage({ url: 'http://127.0.0.1:8000/status.json', usedPath: 'used', totalPath: 'total', unit: 'GB', warnPercent: 80, criticalPercent: 90 }).then(console.log)"
+  */
+  const DEFAULT_TIMEOUT_MS = 5000;
+  // Bytes per unit; keep in sync with STORAGE_UNITS in shared/settings.js
+  // (this file is loaded on its own in Node).
+  const UNITS = {
+    B: 1, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12,
+    KiB: 1024, MiB: Math.pow(1024, 2), GiB: Math.pow(1024, 3), TiB: Math.pow(1024, 4)
+  };
+
+  function isProbeable(url) {
+    return /^https?:\/\//i.test(String(url || ''));
+  }
+
+  function probe(url, opts) {
+    const o = opts || {};
+    const fetchImpl = o.fetch || root.fetch;
+    const timeoutMs = Number(o.timeoutMs) > 0 ? Number(o.timeoutMs) : DEFAULT_TIMEOUT_MS;
+    const checkedAt = Date.now();
+    if (!isProbeable(url) || typeof fetchImpl !== 'function') {
+      return Promise.resolve({ state: 'unknown', checkedAt, url: url || '' });
+    }
+
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    return fetchImpl(url, {
+      method: 'HEAD',
+      mode: 'no-cors',
+      cache: 'no-store',
+      credentials: 'omit',
+      redirect: 'follow',
+      signal: ctrl.signal
+    }).then((res) => {
+      const online = res.type === 'opaque' || res.status < 500;
+      return { state: online ? 'online' : 'offline', status: res.status, latencyMs: Date.now() - checkedAt, checkedAt, url };
+    }).catch((err) => {
+      const error = ctrl.signal.aborted ? 'timeout after ' + timeoutMs + ' ms' : String((err && err.message) || err);
+      return { state: 'offline', error, checkedAt, url };
+    }).finally(() => clearTimeout(timer));
+  }
+
+  // Value at a dotted path ("volumes.0.used", "data[0].size"), or undefined.
+  function readPath(obj, path) {
+    const parts = String(path || '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = obj;
+    for (const part of parts) {
+      if (value === null || typeof value !== 'object' || !(part in value)) return undefined;
+      value = value[part];
+    }
+    return parts.length ? value : undefined;
+  }
+
+  function storageLevel(percent, config) {
+    if (percent >= config.criticalPercent) return 'critical';
+    if (percent >= config.warnPercent) return 'warning';
+    return 'ok';
+  }
+
+  // Turn a status document into usage numbers. Either used or free may be
+  // missing; the other is derived from the total.
+  function storageUsage(json, config) {
+    const scale = UNITS[config.unit] || 1;
+    const number = (path) => {
+      if (!path) return null;
+      const v = readPath(json, path);
+      const n = typeof v === 'string' && v.trim() ? Number(v) : v;
+      return typeof n === 'number' && isFinite(n) ? n * scale : null;
+    };
+    const total = number(config.totalPath);
+    let used = number(config.usedPath);
+    let free = number(config.freePath);
+    if (total === null || total <= 0) return { state: 'error', error: 'no total size at "' + config.totalPath + '"' };
+    if (used === null && free === null) return { state: 'error', error: 'no used or free size at "' + (config.usedPath || config.freePath) + '"' };
+    if (used === null) used = total - free;
+    if (free === null) free = total - used;
+    const percent = Math.max(0, Math.min(100, Math.round(used / total * 100)));
+    return { state: 'ok', used, free: Math.max(0, free), total, percent, level: storageLevel(percent, config) };
+  }
+
+  function fetchStorage(config, opts) {
+    const o = opts || {};
+    const fetchImpl = o.fetch || root.fetch;
+    const timeoutMs = Number(o.timeoutMs) > 0 ? Number(o.timeoutMs) : DEFAULT_TIMEOUT_MS;
+    const checkedAt = Date.now();
+    const url = config && config.url;
+    if (!isProbeable(url) || typeof fetchImpl !== 'function') {
+      return Promise.resolve({ state: 'error', error: 'no status URL', checkedAt });
+    }
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    // Cookies are sent: a NAS status API usually sits behind its login.
+    return fetchImpl(url, { cache: 'no-store', credentials: 'include', signal: ctrl.signal })
+      .then((res) => {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then((json) => Object.assign(storageUsage(json, config), { checkedAt }))
+      .catch((err) => {
+        const error = ctrl.signal.aborted ? 'timeout after ' + timeoutMs + ' ms' : String((err && err.message) || err);
+        return { state: 'error', error, checkedAt };
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  root.LocalUnifiDriveHealth = { DEFAULT_TIMEOUT_MS, isProbeable, probe, readPath, storageUsage, fetchStorage };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
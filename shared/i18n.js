@@ -0,0 +1,56 @@
+(function (root) {
+  /*
+    Local Unifi Drive localization helpers
+
+    Messages live in `_locales/<lang>/messages.json` and are read through
+    chrome.i18n, which picks the browser's UI language and falls back to the
+    default locale (en). Loaded by the content script, the options page and
+    the toolbar popup.
+
+    - `t(key, subs, fallback)` returns the message with `$1`..`$9` replaced
+      by `subs`. Without chrome.i18n (the demo page) or for an unknown key it
+      uses `fallback`, written the same way, or the key itself.
+    - `localizeDocument(doc)` fills elements marked in HTML: `data-i18n`
+      (text), `data-i18n-html` (our own catalog markup such as <code>),
+      `data-i18n-placeholder` and `data-i18n-title`. The English text stays
+      in the HTML so the page still reads correctly if a key is missing.
+  */
+  function substitute(text, subs) {
+    const list = subs === undefined ? [] : [].concat(subs);
+    return String(text).replace(/\$(\d)/g, (m, n) => (list[n - 1] === undefined ? m : String(list[n - 1])));
+  }
+
+  function lookup(key, subs) {
+    try {
+      if (root.chrome && root.chrome.i18n && typeof root.chrome.i18n.getMessage === 'function') {
+        return root.chrome.i18n.getMessage(key, subs === undefined ? undefined : [].concat(subs).map(String)) || '';
+      }
+    } catch (e) {}
+    return '';
+  }
+
+  function t(key, subs, fallback) {
+    return lookup(key, subs) || substitute(fallback === undefined ? key : fallback, subs);
+  }
+
+  function localizeDocument(doc) {
+    const d = doc || root.document;
+    const each = (attr, apply) => {
+      for (const el of d.querySelectorAll('[' + attr + ']')) {
+        const text = lookup(el.getAttribute(attr));
+        if (text) apply(el, text);
+      }
+    };
+    each('data-i18n', (el, text) => { el.textContent = text; });
+    each('data-i18n-html', (el, text) => { el.innerHTML = text; });
+    each('data-i18n-placeholder', (el, text) => el.setAttribute('placeholder', text));
+    each('data-i18n-title', (el, text) => el.setAttribute('title', text));
+    try {
+      if (root.chrome && root.chrome.i18n && typeof root.chrome.i18n.getUILanguage === 'function') {
+        d.documentElement.lang = root.chrome.i18n.getUILanguage();
+      }
+    } catch (e) {}
+  }
+
+  root.LocalUnifiDriveI18n = { t, localizeDocument };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
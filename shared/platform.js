@@ -0,0 +1,297 @@
+(function (root) {
+  /*
+    Local Unifi Drive platform layer
+
+    One callback-style surface over three backends, so the content script,
+    the options page and the popup run unchanged in Chrome, in Firefox and
+    on the demo page:
+
+    - 'chrome'  chrome.* with callbacks (Chrome, Edge)
+    - 'browser' promise-based browser.* (Firefox)
+    - 'local'   window.localStorage, for demo.html and other plain pages.
+                Areas are stored as JSON under `local-unifi-drive.<area>`;
+                there is no background worker, so sendMessage always fails.
+    - 'memory'  the same without persistence, only created on request
+                (`create('memory')`): the options page's header preview
+                runs the content script on it with unsaved settings.
+
+    Surface (mirrors chrome.* where it can):
+    - storage.sync / storage.local / storage.session / storage.managed:
+      get(defaults, cb(items, err)), set(items, cb(err)),
+      remove(keys, cb(err)), clear(cb(err)). `defaults` may be null, a key,
+      a list of keys or an object of defaults, as in chrome.storage.
+      `managed` holds policy values and is read-only; without a policy its
+      get reports an error in some browsers, which callers treat as empty.
+      On the local backend a policy can be simulated by writing JSON to the
+      `local-unifi-drive.managed` localStorage key.
+    - storage.onChanged.addListener(fn(changes, area)). The local backend
+      fires it asynchronously with { key: { oldValue, newValue } } for keys
+      whose value really changed, in this window and (through the DOM
+      `storage` event) in other windows of the same origin, like the
+      extension backends do.
+    - runtime.id ('' outside the extension), runtime.getURL(path),
+      runtime.getManifest(), runtime.openOptionsPage(),
+      runtime.sendMessage(msg, cb(response, err)),
+      runtime.onMessage.addListener(fn(msg, sender, sendResponse)).
+    - tabs.query(query, cb(tabs)) and tabs.sendMessage(tabId, msg,
+      cb(response, err)) for the popup; the local backend has no tabs.
+  */
+  const LOCAL_PREFIX = 'local-unifi-drive.';
+  const AREAS = ['sync', 'local', 'session', 'managed'];
+
+  function detect() {
+    const b = root.browser;
+    if (b && b.runtime && b.runtime.id && b.storage) return 'browser';
+    const c = root.chrome;
+    if (c && c.runtime && c.runtime.id && c.storage) return 'chrome';
+    return 'local';
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // Apply chrome.storage `get` semantics to a plain object of stored values.
+  function pick(all, defaults) {
+    if (defaults === null || defaults === undefined) return clone(all);
+    const out = {};
+    if (typeof defaults === 'string' || Array.isArray(defaults)) {
+      for (const k of [].concat(defaults)) if (k in all) out[k] = clone(all[k]);
+      return out;
+    }
+    for (const k of Object.keys(defaults)) out[k] = k in all ? clone(all[k]) : clone(defaults[k]);
+    return out;
+  }
+
+  function diff(before, after) {
+    const changes = {};
+    for (const k of new Set(Object.keys(before).concat(Object.keys(after)))) {
+      if (JSON.stringify(before[k]) === JSON.stringify(after[k])) continue;
+      changes[k] = {};
+      if (k in before) changes[k].oldValue = clone(before[k]);
+      if (k in after) changes[k].newValue = clone(after[k]);
+    }
+    return changes;
+  }
+
+  function errorOf(e) {
+    return e instanceof Error ? e : new Error(String((e && e.message) || e));
+  }
+
+  // --- chrome.* callbacks -------------------------------------------------
+
+  function chromeArea(name) {
+    const area = () => root.chrome.storage[name];
+    const done = (cb) => () => {
+      const err = root.chrome.runtime.lastError;
+      if (cb) cb(err ? errorOf(err) : null);
+    };
+    return {
+      get(defaults, cb) {
+        area().get(defaults, (items) => {
+          const err = root.chrome.runtime.lastError;
+          cb(items || pick({}, defaults), err ? errorOf(err) : null);
+        });
+      },
+      set(items, cb) { area().set(items, done(cb)); },
+      remove(keys, cb) { area().remove(keys, done(cb)); },
+      clear(cb) { area().clear(done(cb)); }
+    };
+  }
+
+  function chromeBackend() {
+    const c = root.chrome;
+    const storage = { onChanged: { addListener: (fn) => c.storage.onChanged.addListener(fn) } };
+    for (const name of AREAS) if (c.storage[name]) storage[name] = chromeArea(name);
+    return {
+      kind: 'chrome',
+      storage,
+      runtime: {
+        // Read live: it goes away when the extension is reloaded.
+        get id() { return (c.runtime && c.runtime.id) || ''; },
+        getURL: (path) => c.runtime.getURL(path),
+        getManifest: () => c.runtime.getManifest(),
+        openOptionsPage: () => c.runtime.openOptionsPage(),
+        sendMessage(msg, cb) {
+          c.runtime.sendMessage(msg, (res) => {
+            const err = c.runtime.lastError;
+            if (cb) cb(res, err ? errorOf(err) : null);
+          });
+        },
+        onMessage: { addListener: (fn) => c.runtime.onMessage.addListener(fn) }
+      },
+      tabs: {
+        query(query, cb) {
+          if (!c.tabs) return cb([]);
+          c.tabs.query(query, (tabs) => { void c.runtime.lastError; cb(tabs || []); });
+        },
+        sendMessage(tabId, msg, cb) {
+          if (!c.tabs) return cb(undefined, new Error('No tabs API here.'));
+          c.tabs.sendMessage(tabId, msg, (res) => {
+            const err = c.runtime.lastError;
+            cb(res, err ? errorOf(err) : null);
+          });
+        }
+      }
+    };
+  }
+
+  // --- browser.* promises -------------------------------------------------
+
+  function browserArea(name) {
+    const area = () => root.browser.storage[name];
+    const settle = (promise, cb) => promise.then(() => cb && cb(null), (e) => cb && cb(errorOf(e)));
+    return {
+      get(defaults, cb) {
+        area().get(defaults).then((items) => cb(items || pick({}, defaults), null), (e) => cb(pick({}, defaults), errorOf(e)));
+      },
+      set(items, cb) { settle(area().set(items), cb); },
+      remove(keys, cb) { settle(area().remove(keys), cb); },
+      clear(cb) { settle(area().clear(), cb); }
+    };
+  }
+
+  function browserBackend() {
+    const b = root.browser;
+    const storage = { onChanged: { addListener: (fn) => b.storage.onChanged.addListener(fn) } };
+    for (const name of AREAS) if (b.storage[name]) storage[name] = browserArea(name);
+    return {
+      kind: 'browser',
+      storage,
+      runtime: {
+        get id() { return (b.runtime && b.runtime.id) || ''; },
+        getURL: (path) => b.runtime.getURL(path),
+        getManifest: () => b.runtime.getManifest(),
+        openOptionsPage: () => { b.runtime.openOptionsPage().catch(() => {}); },
+        sendMessage(msg, cb) {
+          b.runtime.sendMessage(msg).then((res) => cb && cb(res, null), (e) => cb && cb(undefined, errorOf(e)));
+        },
+        // Firefox also honours `return true` + sendResponse, like Chrome.
+        onMessage: { addListener: (fn) => b.runtime.onMessage.addListener(fn) }
+      },
+      tabs: {
+        query(query, cb) {
+          if (!b.tabs) return cb([]);
+          b.tabs.query(query).then((tabs) => cb(tabs || []), () => cb([]));
+        },
+        sendMessage(tabId, msg, cb) {
+          if (!b.tabs) return cb(undefined, new Error('No tabs API here.'));
+          b.tabs.sendMessage(tabId, msg).then((res) => cb(res, null), (e) => cb(undefined, errorOf(e)));
+        }
+      }
+    };
+  }
+
+  // --- localStorage -------------------------------------------------------
+
+  function localBackend(persist) {
+    const listeners = [];
+    const backing = (name) => {
+      if (!persist) return null;
+      try { return name === 'session' ? root.sessionStorage : root.localStorage; } catch (e) { return null; }
+    };
+    // Without Web Storage (sandboxed frames, 'memory') values only live here.
+    const memory = {};
+    const read = (name) => {
+      const store = backing(name);
+      if (!store) return clone(memory[name] || {});
+      try { return JSON.parse(store.getItem(LOCAL_PREFIX + name) || '{}') || {}; } catch (e) { return {}; }
+    };
+    const emit = (changes, name) => {
+      if (!Object.keys(changes).length) return;
+      setTimeout(() => {
+        for (const fn of listeners.slice()) {
+          try { fn(clone(changes), name); } catch (e) { console.debug('[local-unifi-drive] storage listener failed', e); }
+        }
+      }, 0);
+    };
+    const write = (name, next, cb) => {
+      const before = read(name);
+      const store = backing(name);
+      try {
+        if (store) store.setItem(LOCAL_PREFIX + name, JSON.stringify(next));
+        else memory[name] = clone(next);
+      } catch (e) {
+        setTimeout(() => cb && cb(errorOf(e)), 0);
+        return;
+      }
+      emit(diff(before, next), name);
+      setTimeout(() => cb && cb(null), 0);
+    };
+    const readOnly = (cb) => setTimeout(() => cb && cb(new Error('Managed storage is read-only.')), 0);
+    const area = (name) => (name === 'managed' ? {
+      get(defaults, cb) {
+        const items = pick(read(name), defaults);
+        setTimeout(() => cb(items, null), 0);
+      },
+      set(items, cb) { readOnly(cb); },
+      remove(keys, cb) { readOnly(cb); },
+      clear(cb) { readOnly(cb); }
+    } : {
+      get(defaults, cb) {
+        const items = pick(read(name), defaults);
+        setTimeout(() => cb(items, null), 0);
+      },
+      set(items, cb) { write(name, Object.assign(read(name), clone(items)), cb); },
+      remove(keys, cb) {
+        const next = read(name);
+        for (const k of [].concat(keys)) delete next[k];
+        write(name, next, cb);
+      },
+      clear(cb) { write(name, {}, cb); }
+    });
+
+    // Other windows of this origin writing the same keys (session storage
+    // is per tab, so only sync/local/managed can change from elsewhere).
+    if (persist) {
+      try {
+        root.addEventListener('storage', (e) => {
+          if (!e.key || e.key.indexOf(LOCAL_PREFIX) !== 0) return;
+          const name = e.key.slice(LOCAL_PREFIX.length);
+          if (AREAS.indexOf(name) === -1) return;
+          let before = {};
+          let after = {};
+          try { before = JSON.parse(e.oldValue || '{}') || {}; } catch (err) {}
+          try { after = JSON.parse(e.newValue || '{}') || {}; } catch (err) {}
+          emit(diff(before, after), name);
+        });
+      } catch (e) {}
+    }
+
+    const storage = { onChanged: { addListener: (fn) => listeners.push(fn) } };
+    for (const name of AREAS) storage[name] = area(name);
+    return {
+      kind: persist ? 'local' : 'memory',
+      storage,
+      runtime: {
+        id: '',
+        getURL: () => '',
+        getManifest: () => null,
+        openOptionsPage() {},
+        sendMessage(msg, cb) {
+          setTimeout(() => cb && cb(undefined, new Error('No extension runtime on this page.')), 0);
+        },
+        onMessage: { addListener() {} }
+      },
+      tabs: {
+        query(query, cb) { setTimeout(() => cb([]), 0); },
+        sendMessage(tabId, msg, cb) {
+          setTimeout(() => cb(undefined, new Error('No extension runtime on this page.')), 0);
+        }
+      }
+    };
+  }
+
+  function create(kind) {
+    switch (kind || detect()) {
+      case 'chrome': return chromeBackend();
+      case 'browser': return browserBackend();
+      case 'memory': return localBackend(false);
+      default: return localBackend(true);
+    }
+  }
+
+  const platform = create();
+  platform.create = create;
+  root.LocalUnifiDrivePlatform = platform;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,839 @@
+(function (root) {
+  /*
+    Local Unifi Drive shared settings
+
+    Loaded by the content script (listed before content.js) and by the options
+    page so both sides agree on the stored shape. Everything here is pure: it
+    turns the raw `chrome.storage.sync` items into normalized values and never
+    touches the DOM or chrome.* itself.
+
+    Launcher links:
+    - `links` is an array of { id, label, tooltip, url, icon, order, enabled,
+      shares }. `tooltip` replaces the localized "Open <label> Link" hover
+      text when set. `shares` is an optional list of { label, url } deep
+      links (Drive shares or folders) offered in a popover menu on that
+      link's icon.
+    - Older installs only stored a single `driveLink` string; when `links` is
+      missing we derive a one-entry list from it so nothing is lost.
+    - `driveLink` is still written on save (mirroring the primary link) so
+      anything reading the old key keeps working.
+    - `launcherTargets`/`matchTargets` back the keyboard shortcut and the
+      omnibox keyword in the background worker.
+    - Link and share URLs may be templates: `{origin}`, `{protocol}`,
+      `{host}`, `{hostname}`, `{port}`, `{path}` come from the console page,
+      `{app}`, `{site}` (Network) and `{camera}`, `{liveview}` (Protect) from
+      its route. `{name|default}` supplies a default; see `expandTemplate`
+      for what happens when a value is missing.
+
+    Console allow-list:
+    - `allowedOrigins` holds the UniFi console origins (e.g.
+      `https://192.168.1.1`). The content script is only registered for these,
+      and only after the matching optional host permission was granted.
+
+    Health check:
+    - `healthCheckInterval` (seconds, 0 disables the periodic check; Chrome
+      alarms fire at most every 30 s) and `healthCheckTimeout` (seconds) drive
+      the background reachability probe. Results are not settings: the worker
+      writes them to `chrome.storage.local` under `linkHealth`.
+
+    Drive storage:
+    - `storageStatus` is { url, usedPath, totalPath, freePath, unit,
+      warnPercent, criticalPercent }. With a `url` (a JSON endpoint, no
+      templates) the worker fetches it on every health check and reads the
+      numbers at the dotted paths (`volumes.0.used`); `totalPath` plus
+      `usedPath` or `freePath` are needed, in `unit`. The result is written
+      to `chrome.storage.local.driveStorage` and drawn as a usage ring on the
+      primary link's icon, amber from `warnPercent` and red from
+      `criticalPercent`.
+
+    Placement profiles:
+    - A profile is { id, name, containerSelectors, anchorSelectors, position }.
+      Both selector lists are ordered fallback chains; `position` is 'after' or
+      'before' the first anchor found, or 'append' to the container.
+    - `placementProfiles` holds user profiles. They are tried before the
+      built-ins, and one with a built-in's id replaces it.
+    - `placementProfileId` pins one profile; empty means "first that matches".
+
+    Console profiles:
+    - `consoleProfiles` is an ordered list of { id, name, match, links,
+      placementProfileId, iconPosition, delayedCreate } for consoles that
+      need their own settings (home lab vs. office NAS). `match` lists
+      console origins (`https://192.168.1.1`) or hostname patterns
+      (`*.office.lan`, `10.0.1.*`); the first profile matching the page wins.
+    - Every other field is optional and overrides the global value of the
+      same name (`driveLink` works in place of `links`); link ids get the
+      profile id as prefix. The global settings are the default profile for
+      any console no profile matches.
+
+    Icon position:
+    - `iconPosition` is { mode, app }. An empty mode keeps the profile's own
+      anchor and position; 'after'/'before' place the icons next to the
+      `a[data-testid="applink-<app>"]` link, 'first'/'last' before the first
+      or after the last app link. If that app isn't installed on a console,
+      the profile's placement is used instead.
+    - The content script records the app ids it sees in
+      `chrome.storage.local.discoveredApps` so the options page can offer them.
+
+    Appearance:
+    - `themeMode` is 'auto' (follow the console's light/dark header), 'light'
+      or 'dark'. Uploaded Drive icons are kept in `chrome.storage.local` as
+      `customIcons: { dark, light }` data URLs; they are not part of exports.
+
+    Opening links:
+    - `openMode` is 'newTab', 'sameTab', 'reuseTab' (focus a tab already on
+      the link's origin; needs the optional "tabs" permission), 'popup',
+      'sidePanel' (the browser's side panel, where supported) or 'drawer' (a
+      resizable panel on the console page). The background worker does the
+      opening and keeps the last popup window size in
+      `chrome.storage.local.popupBounds`; the content script runs the drawer
+      and keeps its width and open state per console in
+      `chrome.storage.local.drawerState`. Where a mode can't apply (no side
+      panel API, no console page for the drawer) a new tab is used.
+
+    Hidden consoles:
+    - `hiddenOrigins` lists console origins where the icons are not shown
+      ("Hide on this console" in the icon's context menu). The options page
+      edits the list; the host permission for those consoles is kept.
+
+    Page bridge:
+    - `allowPageLinkOverride` lets page scripts pass their own link to the
+      bridge's `create` action. Off by default: any script on the console
+      could otherwise re-point the icon.
+
+    Diagnostics:
+    - `diagnosticsMode` shows the placement log overlay on console pages. The
+      log itself is always kept (in memory, per tab), so turning the mode on
+      after a misplacement still shows what happened.
+
+    Managed (policy) settings:
+    - Administrators can push any key of SETTINGS_TYPES through
+      `chrome.storage.managed` (schema: managed_schema.json). Policy values
+      win over synced ones and are shown read-only on the options page;
+      `applyManagedSettings` merges them and reports the locked keys, and
+      `readStoredSettings` does the whole read through the platform layer.
+    - A policy link locks both `links` and `driveLink`, so a pushed
+      `driveLink` isn't hidden by a user's own `links` list.
+
+    Versioning, import/export:
+    - `settingsVersion` is written on every save. Version 1 is the original
+      { driveLink, delayedCreate } shape; `migrateSettings` upgrades older
+      stores and imported files to SETTINGS_VERSION.
+    - Exports are { schema, version, exportedAt, settings }; `parseSettingsExport`
+      checks the envelope and the type of every known key before migrating.
+
+    Validation messages:
+    - Validators report problems as { key, subs }: a `_locales` message key
+      and its substitutions, which may be problems themselves. The options
+      page turns them into text with LocalUnifiDriveI18n.t.
+  */
+  const DEFAULTS = {
+    driveLink: '',
+    delayedCreate: 5,
+    links: null,
+    allowedOrigins: [],
+    healthCheckInterval: 60,
+    healthCheckTimeout: 5,
+    placementProfiles: [],
+    placementProfileId: '',
+    iconPosition: { mode: '', app: '' },
+    themeMode: 'auto',
+    openMode: 'newTab',
+    allowPageLinkOverride: false,
+    diagnosticsMode: false,
+    hiddenOrigins: [],
+    consoleProfiles: [],
+    storageStatus: { url: '', usedPath: 'used', totalPath: 'total', freePath: '', unit: 'B', warnPercent: 80, criticalPercent: 90 }
+  };
+
+  const MIN_HEALTH_INTERVAL = 30;
+  const MAX_DELAYED_CREATE = 120;
+
+  const SETTINGS_VERSION = 2;
+  const EXPORT_SCHEMA = 'local-unifi-drive-settings';
+
+  // Expected type of every exportable key (see DEFAULTS).
+  const SETTINGS_TYPES = {
+    driveLink: 'string',
+    delayedCreate: 'number',
+    links: 'array',
+    allowedOrigins: 'array',
+    healthCheckInterval: 'number',
+    healthCheckTimeout: 'number',
+    placementProfiles: 'array',
+    placementProfileId: 'string',
+    iconPosition: 'object',
+    themeMode: 'string',
+    openMode: 'string',
+    allowPageLinkOverride: 'boolean',
+    diagnosticsMode: 'boolean',
+    hiddenOrigins: 'array',
+    consoleProfiles: 'array',
+    storageStatus: 'object'
+  };
+
+  // A validation problem (see "Validation messages" above).
+  function problem(key, subs) {
+    return { key, subs: subs || [] };
+  }
+
+  const THEME_MODES = ['auto', 'light', 'dark'];
+  const OPEN_MODES = ['newTab', 'sameTab', 'reuseTab', 'popup', 'sidePanel', 'drawer'];
+
+  function normalizeOpenMode(value) {
+    return OPEN_MODES.indexOf(value) === -1 ? DEFAULTS.openMode : value;
+  }
+
+  // Units a status endpoint may report sizes in, as bytes.
+  const STORAGE_UNITS = {
+    B: 1, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12,
+    KiB: 1024, MiB: Math.pow(1024, 2), GiB: Math.pow(1024, 3), TiB: Math.pow(1024, 4)
+  };
+
+  // Fill in defaults and drop what can't be used: a URL that isn't plain
+  // http(s), unknown units, thresholds outside 1..100 (critical is never
+  // below warning).
+  function normalizeStorageStatus(raw) {
+    const r = (raw && typeof raw === 'object') ? raw : {};
+    const d = DEFAULTS.storageStatus;
+    const text = (v, fallback) => (typeof v === 'string' ? v.trim() : fallback);
+    const percent = (v, fallback) => {
+      const n = Number(v);
+      return Number.isInteger(n) && n >= 1 && n <= 100 ? n : fallback;
+    };
+    const url = text(r.url, '');
+    const warnPercent = percent(r.warnPercent, d.warnPercent);
+    return {
+      url: url && !hasTemplate(url) && normalizeOrigin(url) ? url : '',
+      usedPath: text(r.usedPath, d.usedPath),
+      totalPath: text(r.totalPath, d.totalPath),
+      freePath: text(r.freePath, d.freePath),
+      unit: STORAGE_UNITS[r.unit] ? r.unit : d.unit,
+      warnPercent,
+      criticalPercent: Math.max(warnPercent, percent(r.criticalPercent, d.criticalPercent))
+    };
+  }
+
+  // "1.2 TB" (decimal units, like UniFi OS shows them).
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let n = Math.max(0, Number(bytes) || 0);
+    let i = 0;
+    while (n >= 1000 && i < units.length - 1) { n /= 1000; i++; }
+    return (i && n < 100 ? n.toFixed(1).replace(/\.0$/, '') : String(Math.round(n))) + ' ' + units[i];
+  }
+
+  // Limits for uploaded icons (stored as data URLs in chrome.storage.local).
+  const CUSTOM_ICON_TYPES = ['image/svg+xml', 'image/png'];
+  const CUSTOM_ICON_MAX_BYTES = 64 * 1024;
+
+  // Registration used with chrome.scripting.registerContentScripts. Keep the
+  // file list in sync with demo.html.
+  const CONTENT_SCRIPT = {
+    id: 'local-unifi-drive',
+    js: ['shared/settings.js', 'shared/platform.js', 'shared/i18n.js', 'content/diagnostics.js', 'content/drawer.js', 'content/content.js'],
+    css: ['content/content.css'],
+    runAt: 'document_idle'
+  };
+
+  const PLACEMENT_POSITIONS = ['after', 'before', 'append'];
+
+  // Shipped profiles. UniFi OS generates the container class names per build,
+  // so the anchors (stable data-testid attributes) are the part that matters;
+  // when no container selector matches, the content script derives the
+  // container from the anchors instead.
+  const BUILTIN_PLACEMENT_PROFILES = [
+    {
+      id: 'unifi-os',
+      name: 'UniFi OS header (after Protect, else Network)',
+      containerSelectors: ['div.unifi-portal-1vz64y0.evzy7n80'],
+      anchorSelectors: ['a[data-testid="applink-protect"]', 'a[data-testid="applink-network"]'],
+      position: 'after'
+    }
+  ];
+
+  const ICON_POSITION_MODES = ['', 'after', 'before', 'first', 'last'];
+
+  // UniFi OS app links we know about, keyed by the data-testid suffix.
+  const KNOWN_APPS = {
+    network: 'Network',
+    protect: 'Protect',
+    access: 'Access',
+    talk: 'Talk',
+    connect: 'Connect',
+    innerspace: 'InnerSpace'
+  };
+
+  // Built-in glyphs a link can use. Anything else is treated as an image URL.
+  const ICON_CHOICES = ['drive', 'folder', 'book', 'link'];
+  // data: icons in links are synced with the rest of `links`, one
+  // storage.sync item capped at 8 KB; bigger images go through the upload.
+  const LINK_DATA_ICON_MAX_BYTES = 1024;
+
+  function makeLinkId() {
+    return 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function normalizeLink(raw, index) {
+    const r = (raw && typeof raw === 'object') ? raw : {};
+    const order = Number(r.order);
+    return {
+      id: (typeof r.id === 'string' && r.id.trim()) ? r.id.trim() : makeLinkId(),
+      label: (typeof r.label === 'string' && r.label.trim()) ? r.label.trim() : 'Link ' + (index + 1),
+      tooltip: typeof r.tooltip === 'string' ? r.tooltip.trim() : '',
+      url: typeof r.url === 'string' ? r.url.trim() : '',
+      icon: (typeof r.icon === 'string' && r.icon.trim()) ? r.icon.trim() : 'drive',
+      order: isNaN(order) ? index : order,
+      enabled: r.enabled !== false,
+      shares: normalizeShares(r.shares)
+    };
+  }
+
+  function normalizeShares(list) {
+    return (Array.isArray(list) ? list : [])
+      .filter((sh) => sh && typeof sh === 'object' && typeof sh.url === 'string' && sh.url.trim())
+      .map((sh) => ({
+        label: (typeof sh.label === 'string' && sh.label.trim()) ? sh.label.trim() : sh.url.trim(),
+        url: sh.url.trim()
+      }));
+  }
+
+  // Last "|" outside {placeholder|default} braces, or -1.
+  function lastSeparator(line) {
+    let depth = 0;
+    let found = -1;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (c === '{') depth++;
+      else if (c === '}') depth = Math.max(0, depth - 1);
+      else if (c === '|' && depth === 0) found = i;
+    }
+    return found;
+  }
+
+  // Shares are edited as one "Label | URL" per line. A line without "|" is
+  // just a URL. Returns { shares, errors }; the problems carry 1-based line
+  // numbers.
+  function parseSharesText(text) {
+    const shares = [];
+    const errors = [];
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      const bar = lastSeparator(line);
+      const label = bar === -1 ? '' : line.slice(0, bar).trim();
+      const url = (bar === -1 ? line : line.slice(bar + 1)).trim();
+      const err = validateUrl(url);
+      if (err) errors.push(problem('errorShareLine', [String(i + 1), err]));
+      else shares.push({ label: label || url, url });
+    });
+    return { shares, errors };
+  }
+
+  function formatSharesText(shares) {
+    return normalizeShares(shares).map((sh) => (sh.label === sh.url ? sh.url : sh.label + ' | ' + sh.url)).join('\n');
+  }
+
+  // Return the stored links sorted by `order`, migrating a legacy `driveLink`
+  // when no list has been saved yet.
+  function normalizeLinks(items) {
+    const it = items || {};
+    let list = Array.isArray(it.links) ? it.links : null;
+    if (!list) {
+      list = [{ id: 'drive', label: 'Drive', url: it.driveLink || '', icon: 'drive', order: 0, enabled: true }];
+    }
+    const seen = new Set();
+    return list
+      .map(normalizeLink)
+      .filter((l) => {
+        if (seen.has(l.id)) return false;
+        seen.add(l.id);
+        return true;
+      })
+      .sort((a, b) => a.order - b.order);
+  }
+
+  // The first enabled link is the "main" Drive link.
+  function primaryLink(links) {
+    return (links || []).find((l) => l.enabled) || null;
+  }
+
+  // Flatten the enabled links and their shares into { label, url, linkId }
+  // entries, each link followed by its shares ("Drive › Media").
+  function launcherTargets(links) {
+    const out = [];
+    for (const link of links || []) {
+      if (!link.enabled || !link.url) continue;
+      out.push({ label: link.label || link.url, url: link.url, linkId: link.id });
+      for (const sh of link.shares || []) {
+        out.push({ label: (link.label || link.url) + ' \u203a ' + sh.label, url: sh.url, linkId: link.id });
+      }
+    }
+    return out;
+  }
+
+  // Targets whose label contains every word of `query` (case-insensitive).
+  // Labels that start with the query sort first; otherwise the order is kept.
+  function matchTargets(targets, query) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return (targets || []).slice();
+    const words = q.split(/\s+/);
+    const hits = (targets || []).filter((t) => {
+      const label = t.label.toLowerCase();
+      return words.every((w) => label.indexOf(w) !== -1);
+    });
+    const starts = (t) => {
+      const label = t.label.toLowerCase();
+      const tail = label.slice(label.lastIndexOf('\u203a') + 1).trim();
+      return label.startsWith(q) || tail.startsWith(q);
+    };
+    return hits.filter(starts).concat(hits.filter((t) => !starts(t)));
+  }
+
+  // Reduce user input such as `https://192.168.1.1/protect/` to its origin.
+  // Returns null for anything that isn't an http(s) URL.
+  function normalizeOrigin(value) {
+    try {
+      const u = new URL(String(value || '').trim());
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      return u.origin;
+    } catch (e) { return null; }
+  }
+
+  function normalizeOrigins(list) {
+    const out = [];
+    for (const v of (Array.isArray(list) ? list : [])) {
+      const o = normalizeOrigin(v);
+      if (o && out.indexOf(o) === -1) out.push(o);
+    }
+    return out;
+  }
+
+  // Match pattern for a console origin. The port is kept so that only that
+  // exact console matches.
+  function originToMatchPattern(origin) {
+    const u = new URL(origin);
+    return u.protocol + '//' + u.host + '/*';
+  }
+
+  // Validate one placement profile. Returns { profile, errors }; `profile` is
+  // null when the input is unusable. Selector syntax is not checked here (no
+  // DOM); the options page does that before saving.
+  function normalizePlacementProfile(raw) {
+    const errors = [];
+    const r = (raw && typeof raw === 'object') ? raw : {};
+    const strings = (v) => (Array.isArray(v) ? v : (typeof v === 'string' ? [v] : []))
+      .filter((x) => typeof x === 'string' && x.trim())
+      .map((x) => x.trim());
+    const id = typeof r.id === 'string' ? r.id.trim() : '';
+    if (!id) errors.push(problem('errorProfileId'));
+    const containerSelectors = strings(r.containerSelectors);
+    const anchorSelectors = strings(r.anchorSelectors);
+    if (!containerSelectors.length && !anchorSelectors.length) errors.push(problem('errorProfileSelectors'));
+    const position = r.position === undefined ? 'after' : r.position;
+    if (PLACEMENT_POSITIONS.indexOf(position) === -1) errors.push(problem('errorProfilePosition', [PLACEMENT_POSITIONS.join(', ')]));
+    if (errors.length) return { profile: null, errors };
+    return {
+      profile: {
+        id,
+        name: (typeof r.name === 'string' && r.name.trim()) ? r.name.trim() : id,
+        containerSelectors,
+        anchorSelectors,
+        position
+      },
+      errors
+    };
+  }
+
+  // User profiles first (in stored order), then the built-ins they don't
+  // override.
+  function placementProfiles(items) {
+    const user = (Array.isArray((items || {}).placementProfiles) ? items.placementProfiles : [])
+      .map((p) => normalizePlacementProfile(p).profile)
+      .filter(Boolean);
+    const ids = new Set(user.map((p) => p.id));
+    return user.concat(BUILTIN_PLACEMENT_PROFILES.filter((p) => !ids.has(p.id)));
+  }
+
+  function normalizeIconPosition(raw) {
+    const r = (raw && typeof raw === 'object') ? raw : {};
+    const mode = ICON_POSITION_MODES.indexOf(r.mode) === -1 ? '' : r.mode;
+    const app = (typeof r.app === 'string') ? r.app.trim().toLowerCase() : '';
+    // after/before without an app means nothing; keep the profile default
+    if ((mode === 'after' || mode === 'before') && !app) return { mode: '', app: '' };
+    return { mode, app: (mode === 'after' || mode === 'before') ? app : '' };
+  }
+
+  // Console origin or hostname glob ("*" matches anything, dots included).
+  // Patterns with a scheme are compared with the origin, "host:port" ones
+  // with the host, anything else with the bare hostname.
+  function matchesConsole(pattern, origin) {
+    const p = String(pattern || '').trim().toLowerCase().replace(/\/+$/, '');
+    if (!p) return false;
+    let u;
+    try { u = new URL(origin); } catch (e) { return false; }
+    const subject = p.indexOf('://') !== -1 ? u.origin : (p.indexOf(':') !== -1 ? u.host : u.hostname);
+    const re = new RegExp('^' + p.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return re.test(subject.toLowerCase());
+  }
+
+  // Validate one console profile. Returns { profile, errors } like
+  // normalizePlacementProfile. Fields left out are null ("use the global
+  // setting").
+  function normalizeConsoleProfile(raw) {
+    const errors = [];
+    const r = (raw && typeof raw === 'object') ? raw : {};
+    const id = typeof r.id === 'string' ? r.id.trim() : '';
+    if (!id) errors.push(problem('errorProfileId'));
+    const match = (Array.isArray(r.match) ? r.match : (typeof r.match === 'string' ? [r.match] : []))
+      .filter((x) => typeof x === 'string' && x.trim())
+      .map((x) => x.trim());
+    if (!match.length) errors.push(problem('errorConsoleMatch'));
+    for (const m of match) if (/\s/.test(m)) errors.push(problem('errorConsoleMatchSpaces', [m]));
+    let links = null;
+    if (Array.isArray(r.links) || typeof r.driveLink === 'string') {
+      // Ids are scoped to the profile so health results and menus never mix
+      // them up with the global links.
+      const rawLinks = Array.isArray(r.links) ? r.links : [{ id: 'drive', label: 'Drive', url: r.driveLink, icon: 'drive' }];
+      links = normalizeLinks({
+        links: rawLinks.map((l, i) => {
+          const own = (l && typeof l.id === 'string' && l.id.trim()) ? l.id.trim() : String(i + 1);
+          return Object.assign({}, l, { id: id + '.' + own });
+        })
+      });
+      for (const l of links) {
+        const err = validateUrl(l.url);
+        if (err) errors.push(problem('errorConsoleLink', [l.label, err]));
+      }
+    }
+    let placementProfileId = null;
+    if (r.placementProfileId !== undefined) {
+      if (typeof r.placementProfileId !== 'string') errors.push(problem('errorConsolePlacementType'));
+      else placementProfileId = r.placementProfileId.trim();
+    }
+    const iconPosition = (r.iconPosition && typeof r.iconPosition === 'object') ? normalizeIconPosition(r.iconPosition) : null;
+    let delayedCreate = null;
+    if (r.delayedCreate !== undefined) {
+      delayedCreate = Number(r.delayedCreate);
+      if (typeof r.delayedCreate !== 'number' || isNaN(delayedCreate) || delayedCreate < 0 || delayedCreate > MAX_DELAYED_CREATE) {
+        errors.push(problem('errorConsoleDelay', [String(MAX_DELAYED_CREATE)]));
+      }
+    }
+    if (errors.length) return { profile: null, errors };
+    return {
+      profile: {
+        id,
+        name: (typeof r.name === 'string' && r.name.trim()) ? r.name.trim() : id,
+        match,
+        links,
+        placementProfileId,
+        iconPosition,
+        delayedCreate
+      },
+      errors
+    };
+  }
+
+  function consoleProfiles(items) {
+    return (Array.isArray((items || {}).consoleProfiles) ? items.consoleProfiles : [])
+      .map((p) => normalizeConsoleProfile(p).profile)
+      .filter(Boolean);
+  }
+
+  // The first console profile matching `origin`, or null (default profile).
+  function resolveConsoleProfile(items, origin) {
+    return consoleProfiles(items).find((p) => p.match.some((m) => matchesConsole(m, origin))) || null;
+  }
+
+  // The stored items as seen from one console: the matching profile's
+  // fields replace the global ones. Returns { settings, profile }.
+  function applyConsoleProfile(items, origin) {
+    const profile = resolveConsoleProfile(items, origin);
+    const settings = Object.assign({}, items);
+    if (!profile) return { settings, profile };
+    if (profile.links) {
+      settings.links = profile.links;
+      const primary = primaryLink(profile.links);
+      settings.driveLink = primary ? primary.url : '';
+    }
+    if (profile.placementProfileId !== null) settings.placementProfileId = profile.placementProfileId;
+    if (profile.iconPosition) settings.iconPosition = profile.iconPosition;
+    if (profile.delayedCreate !== null) settings.delayedCreate = profile.delayedCreate;
+    return { settings, profile };
+  }
+
+  // "applink-protect" -> "protect"; null for anything else.
+  function appIdFromTestId(testId) {
+    const m = /^applink-(.+)$/.exec(String(testId || ''));
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  function appLabel(appId) {
+    return KNOWN_APPS[appId] || (appId ? appId.charAt(0).toUpperCase() + appId.slice(1) : '');
+  }
+
+  function isPlausibleHost(hostname) {
+    const h = String(hostname || '').toLowerCase();
+    if (!h) return false;
+    if (h.charAt(0) === '[') return true; // IPv6 literal, already parsed by URL
+    if (/^\d+(\.\d+){3}$/.test(h)) return h.split('.').every((n) => Number(n) <= 255);
+    const labels = h.replace(/\.$/, '').split('.');
+    // The last label of a dotted name can't be purely numeric (that would be
+    // a mistyped IP address).
+    if (labels.length > 1 && /^\d+$/.test(labels[labels.length - 1])) return false;
+    return labels.every((l) => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(l));
+  }
+
+  // Link templates. Placeholders are filled from the console page the icon
+  // is clicked on; route values only exist on matching pages.
+  const TEMPLATE_RE = /\{([a-z][a-z0-9]*)(?:\|([^{}]*))?\}/gi;
+  const TEMPLATE_PLACEHOLDERS = ['origin', 'protocol', 'host', 'hostname', 'port', 'path', 'app', 'site', 'camera', 'liveview'];
+  const ROUTE_CAPTURES = [
+    { name: 'app', re: /^\/([^/]+)/ },
+    { name: 'site', re: /^\/network\/([^/]+)/ },
+    { name: 'camera', re: /^\/protect\/(?:devices|cameras|timelapses?)\/([^/]+)/ },
+    { name: 'liveview', re: /^\/protect\/liveview\/([^/]+)/ }
+  ];
+  // Used to check and preview templates without a real console page.
+  const SAMPLE_TEMPLATE_URL = 'https://192.168.1.1/protect/devices/sample';
+
+  function hasTemplate(url) {
+    TEMPLATE_RE.lastIndex = 0;
+    return TEMPLATE_RE.test(String(url || ''));
+  }
+
+  // Values available on the page at `href`. Unknown route values are absent.
+  function templateContext(href) {
+    let u;
+    try { u = new URL(href); } catch (e) { return {}; }
+    const ctx = {
+      origin: u.origin,
+      protocol: u.protocol.replace(/:$/, ''),
+      host: u.host,
+      hostname: u.hostname,
+      port: u.port,
+      path: u.pathname
+    };
+    for (const cap of ROUTE_CAPTURES) {
+      const m = cap.re.exec(u.pathname);
+      if (m) ctx[cap.name] = m[1];
+    }
+    return ctx;
+  }
+
+  // Expand `{name}` / `{name|default}` placeholders. When a placeholder has
+  // neither a value nor a default, the URL is cut back to the last "/"
+  // before it (the closest parent that can still be built) and `fallback`
+  // is set; if that leaves no usable http(s) URL, `url` is ''.
+  // Returns { url, missing, fallback }.
+  function expandTemplate(template, ctx) {
+    const t = String(template || '');
+    const c = ctx || {};
+    const missing = [];
+    let cut = -1;
+    let out = '';
+    let last = 0;
+    TEMPLATE_RE.lastIndex = 0;
+    let m;
+    while ((m = TEMPLATE_RE.exec(t))) {
+      const value = c[m[1]];
+      let text = (value !== undefined && value !== '') ? String(value) : (m[2] !== undefined ? m[2] : null);
+      if (text === null) {
+        missing.push(m[1]);
+        if (cut === -1) cut = out.length + (m.index - last);
+        text = '';
+      }
+      out += t.slice(last, m.index) + text;
+      last = m.index + m[0].length;
+    }
+    out += t.slice(last);
+    if (cut === -1) return { url: out, missing, fallback: false };
+    const head = out.slice(0, cut);
+    const slash = head.lastIndexOf('/');
+    let url = slash === -1 ? '' : head.slice(0, slash + 1);
+    try {
+      const u = new URL(url);
+      if ((u.protocol !== 'http:' && u.protocol !== 'https:') || !u.hostname) url = '';
+    } catch (e) { url = ''; }
+    return { url, missing, fallback: true };
+  }
+
+  // Check a link URL as typed in the options page. Returns a problem, or
+  // null when the URL looks usable. Templates are checked with every
+  // placeholder filled from a sample console page.
+  function validateUrl(value) {
+    let v = String(value || '').trim();
+    if (!v) return problem('errorUrlEmpty');
+    if (/\s/.test(v)) return problem('errorUrlSpaces');
+    if (hasTemplate(v)) {
+      const unknown = [];
+      v.replace(TEMPLATE_RE, (all, name) => {
+        if (TEMPLATE_PLACEHOLDERS.indexOf(name) === -1 && unknown.indexOf(name) === -1) unknown.push(name);
+        return all;
+      });
+      if (unknown.length) {
+        const list = (names) => names.map((n) => '{' + n + '}').join(', ');
+        return problem('errorUrlPlaceholder', [list(unknown), list(TEMPLATE_PLACEHOLDERS)]);
+      }
+      const sample = templateContext(SAMPLE_TEMPLATE_URL);
+      for (const name of TEMPLATE_PLACEHOLDERS) if (!sample[name]) sample[name] = 'sample';
+      v = expandTemplate(v, sample).url;
+    }
+    if (/[{}]/.test(v)) return problem('errorUrlBraces');
+    let u;
+    try { u = new URL(v); } catch (e) { return problem('errorUrlInvalid'); }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return problem('errorUrlProtocol');
+    if (!u.hostname) return problem('errorUrlNoHost');
+    if (!isPlausibleHost(u.hostname)) return problem('errorUrlHost', [u.hostname]);
+    return null;
+  }
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  // Merge policy values over the stored items. Returns { settings, locked }
+  // with the keys the user can't change. Values of the wrong type are
+  // ignored; policy links without an id get stable ones.
+  function applyManagedSettings(items, managed) {
+    const settings = Object.assign({}, items);
+    const locked = [];
+    const m = (managed && typeof managed === 'object') ? managed : {};
+    for (const key of Object.keys(SETTINGS_TYPES)) {
+      if (!(key in m) || typeOf(m[key]) !== SETTINGS_TYPES[key]) continue;
+      settings[key] = m[key];
+      locked.push(key);
+    }
+    if (locked.indexOf('links') !== -1) {
+      settings.links = settings.links.map((l, i) => (
+        l && typeof l === 'object' && !l.id ? Object.assign({}, l, { id: 'managed-' + (i + 1) }) : l
+      ));
+      if (locked.indexOf('driveLink') === -1) {
+        const primary = primaryLink(normalizeLinks(settings));
+        settings.driveLink = primary ? primary.url : '';
+        locked.push('driveLink');
+      }
+    } else if (locked.indexOf('driveLink') !== -1) {
+      settings.links = null;
+      locked.push('links');
+    }
+    return { settings, locked };
+  }
+
+  // Read the synced settings and apply policy values. `storage` is the
+  // platform layer's storage (shared/platform.js), so this stays free of
+  // chrome.*. cb({ settings, locked, synced, managed }).
+  function readStoredSettings(storage, cb) {
+    storage.sync.get(DEFAULTS, (synced) => {
+      const done = (managed) => cb(Object.assign({ synced, managed }, applyManagedSettings(synced, managed)));
+      if (!storage.managed) return done({});
+      storage.managed.get(null, (managed, err) => done(err ? {} : (managed || {})));
+    });
+  }
+
+  // Upgrade stored or imported settings to SETTINGS_VERSION. Unknown keys
+  // are dropped.
+  function migrateSettings(raw, version) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    let v = Number(version || src.settingsVersion) || 1;
+    const out = {};
+    for (const key of Object.keys(SETTINGS_TYPES)) if (key in src) out[key] = src[key];
+    if (v < 2) {
+      // v1 -> v2: the single driveLink becomes the first launcher link
+      out.links = normalizeLinks(out);
+      v = 2;
+    }
+    out.settingsVersion = v;
+    return out;
+  }
+
+  // An unsaved link list (`links: null`, the default) goes out as the list
+  // it stands for, so every export passes parseSettingsExport.
+  function buildSettingsExport(items) {
+    const settings = {};
+    for (const key of Object.keys(SETTINGS_TYPES)) if (items && key in items) settings[key] = items[key];
+    if ('links' in settings && !Array.isArray(settings.links)) settings.links = normalizeLinks(items);
+    return { schema: EXPORT_SCHEMA, version: SETTINGS_VERSION, exportedAt: new Date().toISOString(), settings };
+  }
+
+  // Parse an exported settings file. Returns { settings, errors, warnings }
+  // (lists of problems); `settings` is null when the file can't be used.
+  function parseSettingsExport(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return { settings: null, errors: [problem('errorImportJson')], warnings: [] }; }
+    if (!data || typeof data !== 'object' || data.schema !== EXPORT_SCHEMA) {
+      return { settings: null, errors: [problem('errorImportSchema')], warnings: [] };
+    }
+    const version = Number(data.version);
+    if (!version || version > SETTINGS_VERSION) {
+      return { settings: null, errors: [problem('errorImportVersion', [String(data.version)])], warnings: [] };
+    }
+    const src = (data.settings && typeof data.settings === 'object') ? data.settings : {};
+    const errors = [];
+    const warnings = [];
+    for (const key of Object.keys(src)) {
+      if (!(key in SETTINGS_TYPES)) { warnings.push(problem('warningImportUnknown', [key])); continue; }
+      const want = SETTINGS_TYPES[key];
+      // Files exported before links were always written out may hold null.
+      if (key === 'links' && src[key] === null) continue;
+      if (typeOf(src[key]) !== want) errors.push(problem('errorImportType', [key, want, typeOf(src[key])]));
+    }
+    if (errors.length) return { settings: null, errors, warnings };
+    return { settings: migrateSettings(src, version), errors, warnings };
+  }
+
+  root.LocalUnifiDriveSettings = {
+    DEFAULTS,
+    CONTENT_SCRIPT,
+    ICON_CHOICES,
+    LINK_DATA_ICON_MAX_BYTES,
+    MIN_HEALTH_INTERVAL,
+    MAX_DELAYED_CREATE,
+    SETTINGS_VERSION,
+    THEME_MODES,
+    OPEN_MODES,
+    CUSTOM_ICON_TYPES,
+    CUSTOM_ICON_MAX_BYTES,
+    PLACEMENT_POSITIONS,
+    BUILTIN_PLACEMENT_PROFILES,
+    ICON_POSITION_MODES,
+    KNOWN_APPS,
+    makeLinkId,
+    normalizeLink,
+    normalizeLinks,
+    normalizeShares,
+    parseSharesText,
+    formatSharesText,
+    primaryLink,
+    normalizeOpenMode,
+    STORAGE_UNITS,
+    normalizeStorageStatus,
+    formatBytes,
+    launcherTargets,
+    matchTargets,
+    normalizeOrigin,
+    normalizeOrigins,
+    originToMatchPattern,
+    normalizePlacementProfile,
+    placementProfiles,
+    normalizeIconPosition,
+    matchesConsole,
+    normalizeConsoleProfile,
+    consoleProfiles,
+    resolveConsoleProfile,
+    applyConsoleProfile,
+    appIdFromTestId,
+    appLabel,
+    validateUrl,
+    TEMPLATE_PLACEHOLDERS,
+    SAMPLE_TEMPLATE_URL,
+    hasTemplate,
+    templateContext,
+    expandTemplate,
+    applyManagedSettings,
+    readStoredSettings,
+    migrateSettings,
+    buildSettingsExport,
+    parseSettingsExport
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,55 @@
+/*
+  Local Unifi Drive side panel
+
+  Frames the link the background worker passed as `?url=` (open mode
+  "sidePanel"). Opened from Chrome's own side panel menu there is no
+  parameter, so the primary link is shown. Sites that refuse to be framed
+  stay blank without any event to detect it, hence the permanent "Open in
+  new tab" button and a notice once loading takes suspiciously long.
+*/
+document.addEventListener('DOMContentLoaded', () => {
+  const Settings = LocalUnifiDriveSettings;
+  const Platform = LocalUnifiDrivePlatform;
+  const I18n = LocalUnifiDriveI18n;
+  const t = I18n.t;
+  // Same as LOAD_TIMEOUT_MS in content/drawer.js.
+  const LOAD_TIMEOUT_MS = 8000;
+
+  const frame = document.getElementById('frame');
+  const notice = document.getElementById('notice');
+  let url = '';
+  I18n.localizeDocument(document);
+
+  function show(target) {
+    if (!/^https?:\/\//i.test(target)) {
+      document.getElementById('empty').hidden = false;
+      document.getElementById('openTab').disabled = true;
+      return;
+    }
+    url = target;
+    const host = new URL(url).host;
+    document.getElementById('title').textContent = host;
+    document.getElementById('noticeText').textContent = t('drawerBlankHint', [host]);
+    frame.title = host;
+    frame.hidden = false;
+    const timer = setTimeout(() => { notice.hidden = false; }, LOAD_TIMEOUT_MS);
+    frame.addEventListener('load', () => clearTimeout(timer), { once: true });
+    frame.src = url;
+  }
+
+  document.getElementById('openTab').addEventListener('click', () => {
+    if (url) window.open(url, '_blank');
+  });
+
+  const param = new URLSearchParams(location.search).get('url');
+  if (param) return show(param);
+  Settings.readStoredSettings(Platform.storage, ({ settings: items }) => {
+    const primary = Settings.primaryLink(Settings.normalizeLinks(items));
+    const origin = Settings.normalizeOrigins(items.allowedOrigins)[0];
+    let target = primary ? primary.url : '';
+    if (target && Settings.hasTemplate(target)) {
+      target = origin ? Settings.expandTemplate(target, Settings.templateContext(origin + '/')).url : '';
+    }
+    show(target);
+  });
+});